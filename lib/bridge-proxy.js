@@ -0,0 +1,110 @@
+'use strict';
+
+const net = require('net');
+const Framer = require('./node-mideahvac/lib/framer');
+
+// Accepts TCP clients (e.g. a protocol sniffer or another home automation system) and shares the
+// connection of one indoor unit with them. Frames of a client are sent through the command queue
+// of the bridge and only the client receives the response, frames the unit sends on its own
+// initiative are forwarded to all clients.
+class BridgeProxy {
+  constructor(options) {
+    this.bridge = options.bridge;
+    this.port = options.port;
+    this.bind = options.bind || '127.0.0.1';
+    this.log = options.log;
+
+    this.server = null;
+    this.clients = new Set();
+
+    this._broadcast = (frame) => {
+      for (const client of this.clients) {
+        client.write(frame);
+      }
+    };
+  }
+
+  start() {
+    if (this.server) {
+      return Promise.resolve();
+    }
+
+    this.bridge.on('unsolicitedFrame', this._broadcast);
+
+    return new Promise((resolve, reject) => {
+      const server = net.createServer((socket) => this._handleClient(socket));
+
+      server.once('error', (error) => {
+        this.bridge.removeListener('unsolicitedFrame', this._broadcast);
+        this.server = null;
+        reject(error);
+      });
+
+      server.listen(this.port, this.bind, () => {
+        server.on('error', (error) => {
+          this.log.warn(`Proxy error: ${error.message}`);
+        });
+        this.log.info(`Proxy listening on ${this.bind}:${this.port}`);
+        resolve();
+      });
+
+      this.server = server;
+    });
+  }
+
+  stop() {
+    this.bridge.removeListener('unsolicitedFrame', this._broadcast);
+
+    for (const client of this.clients) {
+      client.destroy();
+    }
+    this.clients.clear();
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  _handleClient(socket) {
+    const address = `${socket.remoteAddress}:${socket.remotePort}`;
+    const framer = new Framer();
+
+    this.log.info(`Proxy client ${address} connected`);
+    this.clients.add(socket);
+
+    framer.on('frame', (frame) => {
+      this.bridge
+        .sendFrame(frame)
+        .then((response) => {
+          if (this.clients.has(socket)) {
+            socket.write(response);
+          }
+        })
+        .catch((error) => {
+          this.log.debug(`Proxy command of ${address} failed: ${error.message}`);
+        });
+    });
+
+    framer.on('invalid-frame', (reason, data) => {
+      this.log.debug(
+        `Proxy discarded invalid data of ${address} (${reason}): ${data.toString('hex')}`
+      );
+    });
+
+    socket.on('data', (data) => framer.push(data));
+
+    socket.on('error', (error) => {
+      this.log.debug(`Proxy client ${address} error: ${error.message}`);
+    });
+
+    socket.on('close', () => {
+      this.clients.delete(socket);
+      this.log.info(`Proxy client ${address} disconnected`);
+    });
+  }
+}
+
+module.exports = {
+  BridgeProxy,
+};
@@ -3,6 +3,10 @@
 /**
  * Definition of datapoints supported by the adapter.
  * Each datapoint contains metadata about the ioBroker state and the protocol mapping.
+ * Datapoints with a capability (or a list of capabilities of which one is enough) are only
+ * created once the unit reports that capability, unless all datapoints are created. Datapoints
+ * that are assumed supported are also created while the capabilities are unknown and only
+ * removed once the unit answered the capabilities query without the capability.
  */
 const DATA_POINTS = [
   {
@@ -112,6 +116,8 @@ const DATA_POINTS = [
       horizontal: 'horizontal',
       both: 'both',
     },
+    capability: ['updownFan', 'leftrightFan'],
+    assumeSupported: true,
     pollable: true,
   },
   {
@@ -121,6 +127,8 @@ const DATA_POINTS = [
     role: 'switch.eco',
     type: 'boolean',
     write: true,
+    capability: 'ecoMode',
+    assumeSupported: true,
     pollable: true,
   },
   {
@@ -130,6 +138,8 @@ const DATA_POINTS = [
     role: 'switch.frostProtection',
     type: 'boolean',
     write: true,
+    capability: 'frostProtectionMode',
+    assumeSupported: true,
     pollable: true,
   },
   {
@@ -139,6 +149,8 @@ const DATA_POINTS = [
     role: 'switch.boost',
     type: 'boolean',
     write: true,
+    capability: ['turboCool', 'turboHeat'],
+    assumeSupported: true,
     pollable: true,
   },
   {
@@ -161,6 +173,8 @@ const DATA_POINTS = [
     max: 85,
     step: 1,
     write: true,
+    capability: 'manualSetHumidity',
+    assumeSupported: true,
     pollable: true,
   },
   {
@@ -174,6 +188,181 @@ const DATA_POINTS = [
       fahrenheit: 'fahrenheit',
     },
     write: true,
+    capability: 'unitChangeable',
+    assumeSupported: true,
+    pollable: true,
+  },
+  {
+    id: 'sleepCurve',
+    channel: 'control',
+    name: 'Sleep curve (setpoint per hour of sleep mode)',
+    role: 'json',
+    type: 'string',
+    def: '',
+    write: true,
+  },
+  {
+    id: 'verticalVane',
+    channel: 'control',
+    name: 'Vertical vane position',
+    role: 'level.mode.swing',
+    type: 'string',
+    write: true,
+    states: {
+      top: 'top',
+      upper: 'upper',
+      middle: 'middle',
+      lower: 'lower',
+      bottom: 'bottom',
+    },
+    capability: 'updownFan',
+    pollable: true,
+  },
+  {
+    id: 'horizontalVane',
+    channel: 'control',
+    name: 'Horizontal vane position',
+    role: 'level.mode.swing',
+    type: 'string',
+    write: true,
+    states: {
+      left: 'left',
+      midleft: 'midleft',
+      center: 'center',
+      midright: 'midright',
+      right: 'right',
+    },
+    capability: 'leftrightFan',
+    pollable: true,
+  },
+  {
+    id: 'selfClean',
+    channel: 'control',
+    name: 'Self-clean',
+    role: 'switch',
+    type: 'boolean',
+    write: true,
+    capability: 'activeClean',
+    pollable: true,
+  },
+  {
+    id: 'breezeMode',
+    channel: 'control',
+    name: 'Breeze mode',
+    role: 'level.mode',
+    type: 'string',
+    write: true,
+    states: {
+      off: 'off',
+      away: 'away',
+      mild: 'mild',
+      breezeless: 'breezeless',
+    },
+    capability: 'breezeControl',
+    pollable: true,
+  },
+  {
+    id: 'windOnMe',
+    channel: 'control',
+    name: 'Wind on me',
+    role: 'switch',
+    type: 'boolean',
+    write: true,
+    capability: 'windOnMe',
+    pollable: true,
+  },
+  {
+    id: 'windOffMe',
+    channel: 'control',
+    name: 'Wind off me',
+    role: 'switch',
+    type: 'boolean',
+    write: true,
+    capability: 'windOffMe',
+    pollable: true,
+  },
+  {
+    id: 'oneKeyNoWindOnMe',
+    channel: 'control',
+    name: 'No wind on me',
+    role: 'switch',
+    type: 'boolean',
+    write: true,
+    capability: 'oneKeyNoWindOnMe',
+    pollable: true,
+  },
+  {
+    id: 'upNoWindFeel',
+    channel: 'control',
+    name: 'Breezeless air from the upper outlet',
+    role: 'switch',
+    type: 'boolean',
+    write: true,
+    capability: 'upNoWindFeel',
+    pollable: true,
+  },
+  {
+    id: 'downNoWindFeel',
+    channel: 'control',
+    name: 'Breezeless air from the lower outlet',
+    role: 'switch',
+    type: 'boolean',
+    write: true,
+    capability: 'downNoWindFeel',
+    pollable: true,
+  },
+  {
+    id: 'displayLight',
+    channel: 'control',
+    name: 'Display light',
+    role: 'switch.light',
+    type: 'boolean',
+    write: true,
+    capability: 'lightControl',
+    pollable: true,
+  },
+  {
+    id: 'onTimer',
+    channel: 'timers',
+    name: 'On timer active',
+    role: 'switch.enable',
+    type: 'boolean',
+    write: true,
+    pollable: true,
+  },
+  {
+    id: 'onTimerMinutes',
+    channel: 'timers',
+    name: 'Minutes until the unit is switched on',
+    role: 'level.timer',
+    type: 'number',
+    unit: 'min',
+    min: 0,
+    max: 1440,
+    step: 1,
+    write: true,
+    pollable: true,
+  },
+  {
+    id: 'offTimer',
+    channel: 'timers',
+    name: 'Off timer active',
+    role: 'switch.enable',
+    type: 'boolean',
+    write: true,
+    pollable: true,
+  },
+  {
+    id: 'offTimerMinutes',
+    channel: 'timers',
+    name: 'Minutes until the unit is switched off',
+    role: 'level.timer',
+    type: 'number',
+    unit: 'min',
+    min: 0,
+    max: 1440,
+    step: 1,
+    write: true,
     pollable: true,
   },
   {
@@ -183,6 +372,8 @@ const DATA_POINTS = [
     role: 'value.power',
     type: 'number',
     unit: 'kWh',
+    capability: 'powerCal',
+    assumeSupported: true,
     readOnly: true,
   },
 ];
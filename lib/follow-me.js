@@ -0,0 +1,108 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+
+// Sends the room temperature of a foreign state (e.g. a thermometer in the room) to an indoor unit,
+// which then controls the room temperature with it instead of the sensor of the indoor unit. The
+// temperature is repeated periodically, when it has not been updated within the timeout the unit
+// falls back to its own sensor until a new temperature is received.
+// Events:
+// - active: follow-me has been switched on or off (active)
+class FollowMe extends EventEmitter {
+  constructor(options) {
+    super();
+
+    this.bridge = options.bridge;
+    this.stateId = options.stateId;
+    this.interval = options.interval || 60 * 1000;
+    this.timeout = options.timeout || 600 * 1000;
+    this.log = options.log;
+
+    this.active = false;
+    this.temperature = null;
+    this.timestamp = 0;
+    this.timer = null;
+    this._sending = false;
+  }
+
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this._send(), this.interval);
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // A new value of the foreign state, sent at once when follow-me is not active yet
+  update(state) {
+    const temperature = state ? Number(state.val) : NaN;
+    if (!state || state.val === null || state.val === '' || !Number.isFinite(temperature)) {
+      this.log.debug(`Ignoring follow-me temperature of ${this.stateId}: ${state && state.val}`);
+      return;
+    }
+
+    this.temperature = temperature;
+    this.timestamp = state.ts || Date.now();
+
+    if (!this.active) {
+      this._send();
+    }
+  }
+
+  get stale() {
+    return this.temperature === null || Date.now() - this.timestamp > this.timeout;
+  }
+
+  _send() {
+    if (this._sending || !this.bridge.connected || !this.bridge.initialized) {
+      return;
+    }
+
+    if (this.stale) {
+      if (this.active) {
+        this.log.warn(
+          `Follow-me temperature of ${this.stateId} not updated for ${Math.round(this.timeout / 1000)} seconds, falling back to the sensor of the unit`
+        );
+        this._run(() => this.bridge.stopFollowMe(), false);
+      }
+      return;
+    }
+
+    this._run(() => this.bridge.sendFollowMe(this.temperature), true);
+  }
+
+  _run(command, active) {
+    this._sending = true;
+    command()
+      .then(() => {
+        this._setActive(active);
+      })
+      .catch((error) => {
+        this.log.warn(`Failed to ${active ? 'send' : 'stop'} follow-me: ${error.message}`);
+      })
+      .finally(() => {
+        this._sending = false;
+      });
+  }
+
+  _setActive(active) {
+    if (active !== this.active) {
+      this.active = active;
+      this.log.info(
+        active
+          ? `Follow-me active, the room temperature is measured by ${this.stateId}`
+          : 'Follow-me inactive, the room temperature is measured by the unit'
+      );
+      this.emit('active', active);
+    }
+  }
+}
+
+module.exports = {
+  FollowMe,
+};
@@ -1,7 +1,7 @@
 'use strict';
 
 const EventEmitter = require('events');
-const { createAppliance } = require('./node-mideahvac');
+const { createAppliance, createEmulator } = require('./node-mideahvac');
 const {
   LEGACY_MODE_NUMBERS,
   MODE_VALUE_TO_NAME,
@@ -14,9 +14,62 @@ const {
   SWING_ALIASES,
   SWING_NAME_TO_VALUE,
   SWING_VALUE_TO_NAME,
+  VERTICAL_VANE_POSITIONS,
+  HORIZONTAL_VANE_POSITIONS,
+  BREEZE_MODES,
   normalizeString,
 } = require('./value-mappings');
 
+// Transports that keep their connection open and reconnect by themselves. The encrypted LAN
+// transport (sk103) connects per command and the replay of a capture has no connection at all,
+// both never report a connection of their own.
+const PERSISTENT_METHODS = ['serialbridge', 'serialport', 'simulation'];
+
+// Vane datapoints with the angle property and the positions it is set to
+const VANES = {
+  verticalVane: { property: 'updownFanAngle', positions: VERTICAL_VANE_POSITIONS },
+  horizontalVane: { property: 'leftrightFanAngle', positions: HORIZONTAL_VANE_POSITIONS },
+};
+
+// Switchable features that are set with the property of the same name (0xB0)
+const FEATURE_PROPERTIES = [
+  'selfClean',
+  'windOnMe',
+  'windOffMe',
+  'oneKeyNoWindOnMe',
+  'upNoWindFeel',
+  'downNoWindFeel',
+];
+
+// The unit accepts timers of up to 24 hours
+const MAX_TIMER_MINUTES = 24 * 60;
+
+// The sleep curve is a list of up to 10 setpoints in °C, one per hour of sleep mode, given as
+// array or JSON string. An empty value restores the curve of the firmware.
+function parseSleepCurve(value) {
+  let curve = value;
+  if (typeof value === 'string') {
+    if (!value.trim()) {
+      return [];
+    }
+    try {
+      curve = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Invalid sleep curve ${value}: ${error.message}`);
+    }
+  }
+
+  if (curve === null || curve === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(curve) || curve.length > 10 || curve.some((v) => !Number.isFinite(v))) {
+    throw new Error(`Invalid sleep curve ${JSON.stringify(value)}, expected up to 10 setpoints`);
+  }
+
+  return curve;
+}
+
 function toBoolean(value) {
   if (typeof value === 'string') {
     const normalized = value.trim().toLowerCase();
@@ -38,15 +91,35 @@ class MideaSerialBridge extends EventEmitter {
   constructor(options) {
     super();
 
+    this.communicationMethod = options.communicationMethod || 'serialbridge';
     this.host = options.host;
     this.port = options.port || 23;
+    this.path = options.path;
+    this.replayFile = options.replayFile;
+    this.baudRate = options.baudRate;
+    this.parity = options.parity;
+    this.stopBits = options.stopBits;
+    this.rfc2217 = !!options.rfc2217;
+    this.tls = options.tls;
+    this.deviceId = options.deviceId;
+    this.key = options.key;
+    this.token = options.token;
     this.log = options.log;
     this.beepOnCommand = options.beepOnCommand !== false;
+    this.maxQueueDepth = options.maxQueueDepth;
+    this.queueDropPolicy = options.queueDropPolicy;
+    this.reconnectInterval = options.reconnectInterval;
+    this.maxReconnectInterval = options.maxReconnectInterval;
+    this.watchdogTimeouts = options.watchdogTimeouts;
 
     this.device = null;
+    this.emulator = null;
     this.connected = false;
+    this.initialized = false;
+    this._initializing = null;
     this.statusCache = {};
     this.capabilitiesCache = null;
+    this.sleepCurve = options.sleepCurve || [];
     const representation = options.valueRepresentation || {};
     this.valueRepresentation = {
       mode: !!representation.mode,
@@ -60,31 +133,97 @@ class MideaSerialBridge extends EventEmitter {
       return;
     }
 
-    this.device = createAppliance({
-      communicationMethod: 'serialbridge',
+    let target = {
+      communicationMethod: this.communicationMethod,
       host: this.host,
       port: this.port,
+    };
+
+    // The simulation connects to an emulated unit over the serial bridge protocol
+    if (this.communicationMethod === 'simulation') {
+      if (!this.emulator) {
+        this.emulator = createEmulator();
+        await this.emulator.start();
+        this.log.info(`Emulated indoor unit listening on 127.0.0.1:${this.emulator.port}`);
+      }
+      target = { communicationMethod: 'serialbridge', host: '127.0.0.1', port: this.emulator.port };
+    }
+
+    this.device = createAppliance({
+      ...target,
+      path: this.path,
+      file: this.replayFile,
+      baudRate: this.baudRate,
+      parity: this.parity,
+      stopBits: this.stopBits,
+      rfc2217: this.rfc2217,
+      tls: this.tls,
+      id: this.deviceId,
+      key: this.key,
+      token: this.token,
+      maxQueueDepth: this.maxQueueDepth,
+      queueDropPolicy: this.queueDropPolicy,
+      reconnectInterval: this.reconnectInterval,
+      maxReconnectInterval: this.maxReconnectInterval,
+      watchdogTimeouts: this.watchdogTimeouts,
     });
 
+    // The unit does not report the sleep curve, it is sent with every set status command
+    this.device.sleepCurve = this.sleepCurve;
+
     this._bindDeviceEvents();
 
     try {
-      const result = await this.device.initialize();
-      this.connected = true;
-      if (result && result.status) {
-        this._handleStatus(result.status);
-      }
-      if (result && result.capabilities) {
-        this.capabilitiesCache = result.capabilities;
-        this.emit('capabilities', result.capabilities);
+      await this._initialize();
+
+      if (!this._supportsReconnect() && this.device) {
+        this.emit('connected');
       }
     } catch (error) {
+      // Disconnected while initializing
+      if (!this.device) {
+        return;
+      }
+
       this.log.error(`Failed to initialize serial bridge: ${error.message}`);
+
+      // The transport keeps reconnecting with backoff, initialization is retried once connected
+      if (this._supportsReconnect()) {
+        return;
+      }
+
       await this.disconnect().catch(() => {});
       throw error;
     }
   }
 
+  _initialize() {
+    if (!this._initializing) {
+      this._initializing = this.device
+        .initialize()
+        .then((result) => {
+          this.connected = true;
+          this.initialized = true;
+          if (result && result.status) {
+            this._handleStatus(result.status);
+          }
+          if (result && result.capabilities) {
+            this.capabilitiesCache = result.capabilities;
+            this.emit('capabilities', result.capabilities);
+          }
+        })
+        .finally(() => {
+          this._initializing = null;
+        });
+    }
+
+    return this._initializing;
+  }
+
+  _supportsReconnect() {
+    return PERSISTENT_METHODS.includes(this.communicationMethod);
+  }
+
   async disconnect() {
     if (!this.device) {
       return;
@@ -94,9 +233,22 @@ class MideaSerialBridge extends EventEmitter {
       this.device.removeAllListeners('connected');
       this.device.removeAllListeners('disconnected');
       this.device.removeAllListeners('status-update');
+      this.device.removeAllListeners('frame-statistics');
+      this.device.removeAllListeners('reconnect-scheduled');
+      this.device.removeAllListeners('link-health');
+      this.device.removeAllListeners('unsolicited-frame');
+      this.device.removeAllListeners('frame-sent');
+      this.device.removeAllListeners('frame-received');
     }
 
-    if (this.device._connection && typeof this.device._connection.destroy === 'function') {
+    if (typeof this.device.disconnect === 'function') {
+      // Also stops a pending reconnect of the transport
+      try {
+        this.device.disconnect();
+      } catch (error) {
+        this.log.debug(`Failed to disconnect serial bridge: ${error.message}`);
+      }
+    } else if (this.device._connection && typeof this.device._connection.destroy === 'function') {
       try {
         this.device._connection.destroy();
       } catch (error) {
@@ -106,6 +258,12 @@ class MideaSerialBridge extends EventEmitter {
 
     this.device = null;
     this.connected = false;
+    this.initialized = false;
+
+    if (this.emulator) {
+      await this.emulator.stop();
+      this.emulator = null;
+    }
   }
 
   async getStatus() {
@@ -117,6 +275,16 @@ class MideaSerialBridge extends EventEmitter {
     return this._handleStatus(status);
   }
 
+  // Properties of newer units (e.g. vane angles, breeze, self-clean) that are not part of the status
+  async getProperties() {
+    if (!this.device) {
+      throw new Error('Bridge not connected');
+    }
+
+    const properties = await this.device.getProperties();
+    return this._handleStatus(properties);
+  }
+
   async getCapabilities() {
     if (!this.device) {
       throw new Error('Bridge not connected');
@@ -145,12 +313,35 @@ class MideaSerialBridge extends EventEmitter {
       throw new Error('Bridge not connected');
     }
 
+    if (datapointId === 'displayLight') {
+      return this._setDisplayLight(toBoolean(value));
+    }
+
+    if (VANES[datapointId]) {
+      return this._setVane(datapointId, value);
+    }
+
+    if (FEATURE_PROPERTIES.includes(datapointId)) {
+      return this._setProperties({ [datapointId]: toBoolean(value) });
+    }
+
+    if (datapointId === 'breezeMode') {
+      const mode = normalizeString(value);
+      if (BREEZE_MODES[mode] === undefined) {
+        throw new Error(
+          `Invalid breeze mode ${value}, expected one of ${Object.keys(BREEZE_MODES).join(', ')}`
+        );
+      }
+      return this._setProperties({ breeze: BREEZE_MODES[mode] });
+    }
+
     const payload = this._buildSetPayload(datapointId, value);
     if (!payload || Object.keys(payload).length === 0) {
       throw new Error(`Unsupported datapoint ${datapointId}`);
     }
 
     const status = await this.device.setStatus(this._applyBeepPreference(payload));
+    this.sleepCurve = this.device.sleepCurve;
     const mapped = this._handleStatus(status);
 
     if (!mapped || mapped[datapointId] === undefined) {
@@ -164,6 +355,77 @@ class MideaSerialBridge extends EventEmitter {
     return mapped;
   }
 
+  // The unit only offers a command that toggles the display, it is sent when the display light
+  // reported in the status differs from the requested one
+  async _setDisplayLight(on) {
+    if (this.statusCache.displayLight === undefined) {
+      await this.getStatus();
+    }
+
+    if (this.statusCache.displayLight === on) {
+      return { displayLight: on };
+    }
+
+    const status = await this.device.toggleDisplay();
+    return this._handleStatus(status);
+  }
+
+  // The vanes are moved to a fixed position with the set properties command (0xB0)
+  async _setVane(datapointId, value) {
+    const { property, positions } = VANES[datapointId];
+    const position = normalizeString(value);
+    if (positions[position] === undefined) {
+      throw new Error(
+        `Invalid ${datapointId} ${value}, expected one of ${Object.keys(positions).join(', ')}`
+      );
+    }
+
+    return this._setProperties({ [property]: positions[position] });
+  }
+
+  async _setProperties(properties) {
+    const status = await this.device.setProperties(properties);
+    return this._handleStatus(status);
+  }
+
+  // The room temperature of an external sensor replaces the sensor of the indoor unit, follow-me
+  // is switched on first when the unit does not use it yet (e.g. after a reconnect)
+  async sendFollowMe(temperature) {
+    if (!this.device) {
+      throw new Error('Bridge not connected');
+    }
+
+    if (!this.device.followMe) {
+      await this.device.setStatus({ followMe: true, beep: false });
+    }
+
+    const status = await this.device.sendFollowMeTemperature(temperature);
+    return this._handleStatus(status);
+  }
+
+  // The indoor unit measures the room temperature with its own sensor again
+  async stopFollowMe() {
+    if (!this.device) {
+      throw new Error('Bridge not connected');
+    }
+
+    if (!this.device.followMe) {
+      return {};
+    }
+
+    const status = await this.device.setStatus({ followMe: false, beep: false });
+    return this._handleStatus(status);
+  }
+
+  // Send a raw UART frame through the command queue and return the response frame
+  async sendFrame(frame) {
+    if (!this.device) {
+      throw new Error('Bridge not connected');
+    }
+
+    return this.device.sendFrame(frame);
+  }
+
   async sendCommand(command) {
     if (!this.device) {
       throw new Error('Bridge not connected');
@@ -179,6 +441,7 @@ class MideaSerialBridge extends EventEmitter {
       })
     );
     const status = await this.device.setStatus(payload);
+    this.sleepCurve = this.device.sleepCurve;
     const mapped = this._handleStatus(status);
 
     if (payload && typeof payload === 'object') {
@@ -202,6 +465,12 @@ class MideaSerialBridge extends EventEmitter {
     this.device.on('connected', () => {
       this.connected = true;
       this.emit('connected');
+
+      if (!this.initialized && !this._initializing) {
+        this._initialize().catch((error) => {
+          this.log.error(`Failed to initialize serial bridge: ${error.message}`);
+        });
+      }
     });
 
     this.device.on('disconnected', () => {
@@ -212,6 +481,30 @@ class MideaSerialBridge extends EventEmitter {
     this.device.on('status-update', (status) => {
       this._handleStatus(status);
     });
+
+    this.device.on('frame-statistics', (statistics) => {
+      this.emit('frameStatistics', statistics);
+    });
+
+    this.device.on('reconnect-scheduled', (reconnect) => {
+      this.emit('reconnect', reconnect);
+    });
+
+    this.device.on('link-health', (health) => {
+      this.emit('linkHealth', health);
+    });
+
+    this.device.on('unsolicited-frame', (frame) => {
+      this.emit('unsolicitedFrame', frame);
+    });
+
+    this.device.on('frame-sent', (frame, label) => {
+      this.emit('frame', 'tx', frame, label);
+    });
+
+    this.device.on('frame-received', (frame, label) => {
+      this.emit('frame', 'rx', frame, label);
+    });
   }
 
   _handleStatus(status) {
@@ -294,6 +587,68 @@ class MideaSerialBridge extends EventEmitter {
     assignBoolean('frostProtectionMode');
     assignBoolean('turboMode');
     assignBoolean('sleepMode');
+    assignBoolean('onTimer');
+    assignBoolean('offTimer');
+
+    // The light of the display is 7 when the display is off
+    const light = this._coerceFiniteNumber(status.light);
+    if (light !== undefined) {
+      mapped.displayLight = light !== 7;
+    }
+
+    // The unit reports the time until a timer triggers in hours and minutes, a notification may only
+    // contain the part that changed
+    for (const timer of ['onTimer', 'offTimer']) {
+      if (status[`${timer}Hours`] === undefined && status[`${timer}Minutes`] === undefined) {
+        continue;
+      }
+      const current = (this.device && this.device.status) || {};
+      const hours = this._coerceFiniteNumber(
+        status[`${timer}Hours`] !== undefined ? status[`${timer}Hours`] : current[`${timer}Hours`]
+      );
+      const minutes = this._coerceFiniteNumber(
+        status[`${timer}Minutes`] !== undefined
+          ? status[`${timer}Minutes`]
+          : current[`${timer}Minutes`]
+      );
+      mapped[`${timer}Minutes`] = (hours || 0) * 60 + (minutes || 0);
+    }
+
+    // Properties of the property messages (0xB0/0xB1)
+    for (const key of ['updownFanAngle', 'leftrightFanAngle', 'indoorHumidity', 'breeze']) {
+      const value = this._coerceFiniteNumber(status[key]);
+      if (value !== undefined) {
+        mapped[key] = value;
+      }
+    }
+
+    // The angle is reported as the nearest fixed position, 0 while the vane swings
+    for (const [datapointId, { property, positions }] of Object.entries(VANES)) {
+      const angle = this._coerceFiniteNumber(status[property]);
+      if (!angle) {
+        continue;
+      }
+      mapped[datapointId] = Object.keys(positions).reduce((nearest, position) =>
+        Math.abs(positions[position] - angle) < Math.abs(positions[nearest] - angle)
+          ? position
+          : nearest
+      );
+    }
+
+    assignBoolean('silkyCool');
+    assignBoolean('windOnMe');
+    assignBoolean('windOffMe');
+    assignBoolean('selfClean');
+    assignBoolean('upNoWindFeel');
+    assignBoolean('downNoWindFeel');
+    assignBoolean('oneKeyNoWindOnMe');
+    assignBoolean('buzzer');
+
+    const breeze = this._coerceFiniteNumber(status.breeze);
+    const breezeMode = Object.keys(BREEZE_MODES).find((mode) => BREEZE_MODES[mode] === breeze);
+    if (breezeMode) {
+      mapped.breezeMode = breezeMode;
+    }
 
     const humiditySetpoint = this._coerceFiniteNumber(status.humiditySetpoint);
     if (humiditySetpoint !== undefined && humiditySetpoint >= 35 && humiditySetpoint <= 85) {
@@ -802,11 +1157,49 @@ class MideaSerialBridge extends EventEmitter {
         return { temperatureUnit: unit };
       }
 
+      case 'sleepCurve':
+        return { sleepCurve: parseSleepCurve(value) };
+
+      case 'onTimer':
+      case 'offTimer': {
+        if (!toBoolean(value)) {
+          return { [datapointId]: false };
+        }
+        const minutes = this._coerceFiniteNumber(this.statusCache[`${datapointId}Minutes`]);
+        if (!minutes) {
+          throw new Error(`Set ${datapointId}Minutes to start the timer`);
+        }
+        return this._buildTimerPayload(datapointId, minutes);
+      }
+
+      case 'onTimerMinutes':
+      case 'offTimerMinutes': {
+        const numeric = Number(value);
+        if (Number.isNaN(numeric)) {
+          throw new Error(`Invalid timer value ${value}`);
+        }
+        const rounded = Math.round(numeric);
+        if (rounded < 0 || rounded > MAX_TIMER_MINUTES) {
+          throw new Error(`The timer must be between 0 and ${MAX_TIMER_MINUTES} minutes`);
+        }
+        return this._buildTimerPayload(datapointId.replace(/Minutes$/, ''), rounded);
+      }
+
       default:
         return {};
     }
   }
 
+  // The timers of the unit count down the hours and minutes until they trigger, 0 minutes cancels
+  // the timer
+  _buildTimerPayload(timer, minutes) {
+    return {
+      [timer]: minutes > 0,
+      [`${timer}Hours`]: Math.floor(minutes / 60),
+      [`${timer}Minutes`]: minutes % 60,
+    };
+  }
+
   _applyBeepPreference(payload) {
     if (!payload || typeof payload !== 'object') {
       return payload;
@@ -885,7 +1278,14 @@ class MideaSerialBridge extends EventEmitter {
       case 'turboMode':
       case 'sleepMode':
       case 'frostProtectionMode':
+      case 'onTimer':
+      case 'offTimer':
         return toBoolean(value);
+      case 'onTimerMinutes':
+      case 'offTimerMinutes':
+        return this._coerceFiniteNumber(value);
+      case 'sleepCurve':
+        return this.sleepCurve.length ? JSON.stringify(this.sleepCurve) : '';
       case 'targetTemperature': {
         return this._coerceFiniteNumber(value);
       }
@@ -1110,4 +1510,5 @@ class MideaSerialBridge extends EventEmitter {
 
 module.exports = {
   MideaSerialBridge,
+  parseSleepCurve,
 };
@@ -5,6 +5,7 @@ const logger = require('winston');
 
 const { createCommand } = require('./ac_common');
 const { parse } = require('./parsers');
+const { encode: encodeProperties, properties } = require('./parsers/B1');
 const reporter = require('./reporter');
 const errors = require('./errors');
 
@@ -14,6 +15,34 @@ logger.add(new logger.transports.Console({
   level: 'none'
 }));
 
+// Encode the time until a timer triggers as the hours and the started quarter of the last hour
+// (byte 4 or 5) and the minutes before the end of that quarter (half of byte 6), a full hour is
+// encoded as the fourth quarter of the previous hour
+function encodeTimer (enabled, hours = 0, minutes = 0) {
+  const total = enabled ? (hours || 0) * 60 + (minutes || 0) : 0;
+
+  if (!total) {
+    return { hours: 0x00, minutes: 0x00 };
+  }
+
+  const quarters = Math.ceil(total / 15);
+
+  return {
+    hours: 0x80 | ((Math.floor((quarters - 1) / 4) & 0x1F) << 2) | ((quarters - 1) & 0x03),
+    minutes: quarters * 15 - total
+  };
+}
+
+// The setpoint is sent in °C in steps of 0.5, a setpoint in °F is converted to the nearest step.
+// 60°F, the lowest setpoint in °F, is below 16°C and sent as 16°C.
+function celsiusSetpoint (setpoint, temperatureUnit) {
+  if (temperatureUnit === 1) {
+    setpoint = Math.max(16, (setpoint - 32) / 1.8);
+  }
+
+  return Math.round(setpoint * 2) / 2;
+}
+
 // module.exports = class extends SK103 {
 module.exports = class extends EventEmitter {
   constructor () {
@@ -28,6 +57,14 @@ module.exports = class extends EventEmitter {
 
     // Status
     this.status = {};
+
+    // Setpoints per hour of sleep mode, the unit does not report them and they are sent with every
+    // set status command. An empty curve leaves the curve of the firmware in place.
+    this.sleepCurve = [];
+
+    // The room temperature is measured by an external sensor and sent with the follow-me command
+    // instead of the sensor of the indoor unit, the unit does not report the mode either
+    this.followMe = false;
   }
 
   _updateStatus (properties) {
@@ -48,6 +85,34 @@ module.exports = class extends EventEmitter {
     return updates;
   }
 
+  // Process a frame the unit sent on its own initiative, e.g. the status notification (0xA0)
+  // after the IR remote control has been used or the periodic sensor notification (0xA1)
+  _processNotification (frame) {
+    const self = this;
+
+    logger.silly(`AC._processNotification: Entering with ${frame.toString('hex')}`);
+
+    const parsedData = parse(frame);
+
+    // The sensor notification does not contain the temperature unit
+    if (frame[10] === 0xA1 && self.status.temperatureUnit) {
+      for (const property of ['indoorTemperature', 'outdoorTemperature']) {
+        if (parsedData[property] !== undefined) {
+          parsedData[property] = Math.round(parsedData[property] * 1.8 + 32);
+        }
+      }
+    }
+
+    // Update in-memory state
+    const updates = self._updateStatus(parsedData);
+
+    if (Object.keys(updates).length) {
+      self.emit('status-update', reporter(updates));
+    }
+
+    return updates;
+  }
+
   getCapabilities (retry = 0) {
     const self = this;
 
@@ -155,6 +220,87 @@ module.exports = class extends EventEmitter {
     });
   }
 
+  // Query the properties (0xB1) with the given ids, by default all known properties. Properties
+  // that are not supported by the unit are not reported.
+  getProperties (ids = [...properties.keys()], retry = 0) {
+    const self = this;
+
+    logger.silly('AC.getProperties: Entering');
+
+    let cmd = Buffer.from([0xB1, ids.length]);
+
+    // Property ids are encoded low byte first
+    ids.forEach(id => {
+      cmd = Buffer.concat([cmd, Buffer.from([id & 0xFF, id >> 8])]);
+    });
+
+    cmd = createCommand(cmd, 0x03);
+
+    return new Promise((resolve, reject) => {
+      self._request(cmd, 'getProperties', retry)
+        .then(response => {
+          // Check this is the correct response type
+          if (response[10] !== 0xB1) {
+            return reject(new Error('Invalid response'));
+          }
+
+          const parsedData = parse(response);
+
+          // Update in-memory state
+          const updates = self._updateStatus(parsedData);
+
+          if (Object.keys(updates).length) {
+            self.emit('status-update', reporter(updates));
+          }
+
+          resolve(reporter(parsedData));
+        })
+        .catch(error => {
+          reject(error);
+        });
+    });
+  }
+
+  // Set properties (0xB0) given by name, e.g. { updownFanAngle: 50 }. The unit answers with the
+  // properties it has set.
+  setProperties (values = {}, retry = 0) {
+    const self = this;
+
+    logger.silly(`AC.setProperties: Entering with ${JSON.stringify(values)}`);
+
+    let cmd;
+
+    try {
+      cmd = createCommand(Buffer.from([0xB0, Object.keys(values).length, ...encodeProperties(values)]), 0x02);
+    } catch (error) {
+      return Promise.reject(new errors.OutOfRangeError(error.message));
+    }
+
+    return new Promise((resolve, reject) => {
+      self._request(cmd, 'setProperties', retry)
+        .then(response => {
+          // Check this is the correct response type
+          if (response[10] !== 0xB0) {
+            return reject(new Error('Invalid response'));
+          }
+
+          const parsedData = parse(response);
+
+          // Update in-memory state
+          const updates = self._updateStatus(parsedData);
+
+          if (Object.keys(updates).length) {
+            self.emit('status-update', reporter(updates));
+          }
+
+          resolve(reporter(parsedData));
+        })
+        .catch(error => {
+          reject(error);
+        });
+    });
+  }
+
   getStatus (retry = 0) {
     const self = this;
 
@@ -197,444 +343,666 @@ module.exports = class extends EventEmitter {
     });
   }
 
-  setStatus (properties = {}, retry = 0) {
+  // Switch the display of the indoor unit on or off (0x41 0x61 command), the unit answers with its
+  // status. The command toggles the display, the light property of the status tells whether the
+  // display is on (7: off).
+  toggleDisplay (retry = 0) {
     const self = this;
 
-    logger.silly(`AC.setStatus: Entering with ${JSON.stringify(properties)}`);
+    logger.silly('AC.toggleDisplay: Entering');
+
+    let cmd = Buffer.from([
+      0x41, 0x61, 0x00, 0xFF, 0x02, 0x00,
+      0x02, 0x00, 0x00, 0x00, 0x00, 0x00,
+      0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+      0x00, 0x00, 0x00
+    ]);
+
+    cmd = createCommand(cmd, 0x02);
+
+    return new Promise((resolve, reject) => {
+      self._request(cmd, 'toggleDisplay', retry)
+        .then(response => {
+          // Check this is the correct response type
+          if (response[10] !== 0xC0) {
+            logger.error(`AC.toggleDisplay: Invalid response (${response.toString('hex')})`);
+            return reject(new Error('Invalid response'));
+          }
+
+          const parsedData = parse(response);
+
+          // Update in-memory state
+          const updates = self._updateStatus(parsedData);
+
+          if (Object.keys(updates).length) {
+            self.emit('status-update', reporter(updates));
+          }
+
+          resolve(reporter(parsedData));
+        })
+        .catch(error => {
+          reject(error);
+        });
+    });
+  }
+
+  // Send the room temperature measured by an external sensor (0x41 0x81 command with function 0x06),
+  // the unit only uses it while follow-me is on (see the followMe property of setStatus). The unit
+  // answers with its status.
+  sendFollowMeTemperature (temperature, retry = 0) {
+    const self = this;
+
+    logger.silly('AC.sendFollowMeTemperature: Entering');
+
+    if (typeof temperature !== 'number' || temperature < 0 || temperature > 50) {
+      return Promise.reject(new errors.OutOfRangeError('The follow-me temperature must be between 0 - 50°C'));
+    }
+
+    // Same encoding as the indoor temperature of the status
+    let cmd = Buffer.from([
+      0x41, 0x81, 0x00, 0xFF, 0x06, Math.round(temperature * 2) + 50,
+      0x00, 0x02, 0x00, 0x00, 0x00, 0x00,
+      0x00, 0x00, 0x00, 0x00, 0x00, 0x00,
+      0x00, 0x00, 0x03
+    ]);
+
+    cmd = createCommand(cmd, 0x03, 0x00);
+
+    return new Promise((resolve, reject) => {
+      self._request(cmd, 'followMe', retry)
+        .then(response => {
+          // Check this is the correct response type
+          if (response[10] !== 0xC0) {
+            logger.error(`AC.sendFollowMeTemperature: Invalid response (${response.toString('hex')})`);
+            return reject(new Error('Invalid response'));
+          }
+
+          const parsedData = parse(response);
+
+          // Update in-memory state
+          const updates = self._updateStatus(parsedData);
+
+          if (Object.keys(updates).length) {
+            self.emit('status-update', reporter(updates));
+          }
+
+          resolve(reporter(parsedData));
+        })
+        .catch(error => {
+          reject(error);
+        });
+    });
+  }
+
+  // Temperature range in °C of the mode (cool and heat have their own range, all other modes use
+  // the one of auto) according to the capabilities, when they have been retrieved
+  _temperatureRange (mode) {
+    const capabilities = this._capabilities || {};
+    const limits = { 2: 'Cool', 4: 'Heat' }[mode] || 'Auto';
+
+    return {
+      min: Math.max(16, capabilities[`minTemp${limits}`] || 16),
+      max: Math.min(31, capabilities[`maxTemp${limits}`] || 31)
+    };
+  }
+
+  // The setpoints of the sleep curve must be within the temperature range of the mode according to
+  // the capabilities (when they have been retrieved), half degrees require the decimals capability
+  _validateSleepCurve (curve, mode) {
+    const capabilities = this._capabilities || {};
+    const { min, max } = this._temperatureRange(mode);
+
+    curve.forEach((setpoint, hour) => {
+      if (setpoint < min || setpoint > max) {
+        throw new errors.OutOfRangeError(`The setpoint of hour ${hour + 1} of the sleepCurve must be between ${min} - ${max}°C`);
+      }
+
+      if (setpoint % 1 && capabilities.decimals === false) {
+        throw new errors.OutOfRangeError('The unit does not support half degrees in the sleepCurve');
+      }
+    });
+  }
+
+  // Properties that require a capability can only be switched on when the unit reports it and the
+  // setpoint must be within the range of the mode. Units that did not answer the capabilities
+  // query are not restricted, neither are the modes of units that do not report them.
+  _validateCapabilities (properties, status) {
+    const capabilities = this._capabilities;
+
+    if (!capabilities) {
+      return;
+    }
+
+    const modeCapabilities = { 1: 'autoMode', 2: 'coolMode', 3: 'dryMode', 4: 'heatMode', 6: 'dryMode' };
+    const reportsModes = Object.values(modeCapabilities).some(capability => capabilities[capability]);
+    const modeCapability = modeCapabilities[status.mode];
+
+    if (properties.mode !== undefined && reportsModes && modeCapability && !capabilities[modeCapability]) {
+      throw new errors.OutOfRangeError(`The unit does not support the mode ${properties.mode}`);
+    }
+
+    // Units without fan speed control only run on auto (102)
+    if (properties.fanSpeed !== undefined && status.fanSpeed !== 102 && capabilities.fanSpeedControl === false) {
+      throw new errors.OutOfRangeError('The unit does not support setting the fan speed');
+    }
+
+    const features = {
+      updownFan: capabilities.updownFan,
+      leftrightFan: capabilities.leftrightFan,
+      ecoMode: capabilities.ecoMode,
+      turboMode: capabilities.turboCool || capabilities.turboHeat,
+      frostProtectionMode: capabilities.frostProtectionMode
+    };
+
+    Object.keys(features).forEach(feature => {
+      if (properties[feature] === true && !features[feature]) {
+        throw new errors.OutOfRangeError(`The unit does not support ${feature}`);
+      }
+    });
+
+    if (properties.temperatureSetpoint !== undefined) {
+      const { min, max } = this._temperatureRange(status.mode);
+      const setpoint = celsiusSetpoint(status.temperatureSetpoint, status.temperatureUnit);
+
+      if (setpoint < min || setpoint > max) {
+        const value = status.temperatureUnit === 1 ? ` (${status.temperatureSetpoint}°F is ${setpoint}°C)` : '';
+
+        throw new errors.OutOfRangeError(`The temperatureSetpoint must be between ${min} - ${max}°C in the current mode${value}`);
+      }
+    }
+  }
+
+  // Encode the set status command, the properties are applied on top of the current status
+  _buildSetStatusCommand (properties = {}) {
+    const self = this;
 
     let cmd = Buffer.alloc(25);
 
     // Copy the current status
-    const status = { ...self.status };
+    const status = { ...self.status, sleepCurve: self.sleepCurve, followMe: self.followMe };
 
     // Enabe beep by default
     status.beep = true;
 
-    return new Promise((resolve, reject) => {
-      const mode = {
-        auto: 1,
-        cool: 2,
-        dry: 3,
-        heat: 4,
-        fanonly: 5,
-        customdry: 6
-      };
-
-      const fanSpeed = {
-        auto: 102,
-        silent: 20,
-        low: 40,
-        medium: 60,
-        high: 80,
-        fixed: 101
-      };
-
-      for (const property in properties) {
-        switch (property) {
-          case 'beep':
-            logger.debug('AC.setStatus: Enable beep');
-
-            status.beep = properties[property] === true;
-            break;
+    const mode = {
+      auto: 1,
+      cool: 2,
+      dry: 3,
+      heat: 4,
+      fanonly: 5,
+      customdry: 6
+    };
+
+    const fanSpeed = {
+      auto: 102,
+      silent: 20,
+      low: 40,
+      medium: 60,
+      high: 80,
+      fixed: 101
+    };
 
-          case 'fanSpeed':
-            if (typeof properties[property] === 'number') {
-              if (properties[property] < 0 || properties[property] > 100) {
-                return reject(new errors.OutOfRangeError('fanSpeed must be between 0 - 100%'));
-              }
-            }
-            if (typeof properties[property] === 'string' && !fanSpeed[properties[property]]) {
-              return reject(new errors.OutOfRangeError('fanSpeed must be one of: auto, silent, low, medium, high or fixed'));
+    for (const property in properties) {
+      switch (property) {
+        case 'beep':
+          logger.debug('AC.setStatus: Enable beep');
+
+          status.beep = properties[property] === true;
+          break;
+
+        case 'fanSpeed':
+          if (typeof properties[property] === 'number') {
+            if (properties[property] < 0 || properties[property] > 100) {
+              throw new errors.OutOfRangeError('fanSpeed must be between 0 - 100%');
             }
+          }
+          if (typeof properties[property] === 'string' && !fanSpeed[properties[property]]) {
+            throw new errors.OutOfRangeError('fanSpeed must be one of: auto, silent, low, medium, high or fixed');
+          }
+
+          logger.debug(`AC.setStatus: Set fan speed to ${typeof properties[property] === 'number' ? properties[property] : fanSpeed[properties[property]]}`);
+
+          status.fanSpeed = typeof properties[property] === 'number' ? properties[property] : fanSpeed[properties[property]];
+          break;
+
+        case 'frostProtectionMode': { // Requires capability frostProtectionMode and only available when mode is heat
+          const isHeatMode = value => value === 'heat' || value === 4;
+          const requestedValue = properties[property] === true;
 
-            logger.debug(`AC.setStatus: Set fan speed to ${typeof properties[property] === 'number' ? properties[property] : fanSpeed[properties[property]]}`);
+          if (!isHeatMode(status.mode) && !isHeatMode(properties.mode)) {
+            if (requestedValue) {
+              logger.warn('AC.setStatus: Ignoring frost protection activation because the device is not in heat mode');
+            }
 
-            status.fanSpeed = typeof properties[property] === 'number' ? properties[property] : fanSpeed[properties[property]];
+            status.frostProtectionMode = false;
             break;
+          }
 
-          case 'frostProtectionMode': { // Requires capability frostProtectionMode and only available when mode is heat
-            const isHeatMode = value => value === 'heat' || value === 4;
-            const requestedValue = properties[property] === true;
+          logger.debug(`AC.setStatus: Set frost protection mode to ${requestedValue}`);
 
-            if (!isHeatMode(status.mode) && !isHeatMode(properties.mode)) {
-              if (requestedValue) {
-                logger.warn('AC.setStatus: Ignoring frost protection activation because the device is not in heat mode');
-              }
+          status.frostProtectionMode = requestedValue;
+          break;
+        }
 
-              status.frostProtectionMode = false;
-              break;
-            }
+        case 'offTimer':
+        case 'onTimer':
+          logger.debug(`AC.setStatus: Set ${property} to ${properties[property] === true}`);
 
-            logger.debug(`AC.setStatus: Set frost protection mode to ${requestedValue}`);
+          status[property] = properties[property] === true;
+          break;
 
-            status.frostProtectionMode = requestedValue;
-            break;
+        case 'offTimerHours':
+        case 'onTimerHours':
+          if (!Number.isInteger(properties[property]) || properties[property] < 0 || properties[property] > 24) {
+            throw new errors.OutOfRangeError(`The ${property} must be between 0 - 24`);
           }
 
-          case 'humiditySetpoint':
-            if (properties[property] < 35 || properties[property] > 85) {
-              return reject(new errors.OutOfRangeError('The humiditySetpoint must be between 35 - 85%'));
-            }
+          logger.debug(`AC.setStatus: Set ${property} to ${properties[property]}`);
 
-            logger.debug(`AC.setStatus: Set humiditySetpoint to ${properties[property]}`);
+          status[property] = properties[property];
+          break;
 
-            status.humiditySetpoint = properties[property];
-            break;
+        case 'offTimerMinutes':
+        case 'onTimerMinutes':
+          if (!Number.isInteger(properties[property]) || properties[property] < 0 || properties[property] > 59) {
+            throw new errors.OutOfRangeError(`The ${property} must be between 0 - 59`);
+          }
 
-          case 'leftrightFan':
-            logger.debug(`AC.setStatus: Set left right fan to ${properties[property] === true}`);
+          logger.debug(`AC.setStatus: Set ${property} to ${properties[property]}`);
 
-            status.leftrightFan = properties[property] === true;
-            break;
+          status[property] = properties[property];
+          break;
 
-          case 'mode':
-            // FIXME: Only allow modes that are available according to the capabilities
-            if (!mode[properties[property]]) {
-              return reject(new errors.OutOfRangeError('Mode must be one of: auto, cool, dry, heat, fanonly or customdry'));
-            }
+        case 'sleepCurve':
+          if (!Array.isArray(properties[property]) || properties[property].length > 10 ||
+            properties[property].some(setpoint => typeof setpoint !== 'number' || setpoint % 0.5 !== 0)) {
+            throw new errors.OutOfRangeError('The sleepCurve must be a list of up to 10 setpoints in steps of 0.5°C');
+          }
 
-            logger.debug(`AC.setStatus: Set mode to ${mode[properties[property]]}`);
+          logger.debug(`AC.setStatus: Set sleep curve to ${JSON.stringify(properties[property])}`);
 
-            status.mode = mode[properties[property]];
-            break;
+          status.sleepCurve = properties[property];
+          break;
 
-          case 'powerOn':
-            logger.debug(`AC.setStatus: Set power to ${properties[property] === true}`);
+        case 'followMe':
+          logger.debug(`AC.setStatus: Set follow-me to ${properties[property] === true}`);
 
-            status.powerOn = properties[property] === true;
-            break;
+          status.followMe = properties[property] === true;
+          status.feelOwn = status.followMe;
+          break;
 
-          case 'temperatureSetpoint':
-            if ((status.temperatureUnit === 0 || properties.temperatureUnit === 'celsius') &&
-              (properties[property] < 16 || properties[property] > 31)) {
-              return reject(new errors.OutOfRangeError('The temperatureSetpoint must be between 16 - 31°C'));
-            }
+        case 'humiditySetpoint':
+          if (properties[property] < 35 || properties[property] > 85) {
+            throw new errors.OutOfRangeError('The humiditySetpoint must be between 35 - 85%');
+          }
 
-            if (status.temperatureUnit === 1 || properties.temperatureUnit === 'fahrenheit') {
-              if (properties[property] < 60 || properties[property] > 87) {
-                return reject(new errors.OutOfRangeError('The temperatureSetpoint must be between 60 - 87°F'));
-              }
-            }
+          logger.debug(`AC.setStatus: Set humiditySetpoint to ${properties[property]}`);
 
-            logger.debug(`AC.setStatus: Set temperatureSetpoint to ${properties[property]}`);
+          status.humiditySetpoint = properties[property];
+          break;
 
-            status.temperatureSetpoint = properties[property];
-            break;
+        case 'leftrightFan':
+          logger.debug(`AC.setStatus: Set left right fan to ${properties[property] === true}`);
 
-          case 'sleepMode':
-            logger.debug(`AC.setStatus: Set sleep mode to ${properties[property] === true}`);
+          status.leftrightFan = properties[property] === true;
+          break;
 
-            status.sleepMode = properties[property] === true;
-            break;
+        case 'mode': // Requires the capability of the mode (see _validateCapabilities)
+          if (!mode[properties[property]]) {
+            throw new errors.OutOfRangeError('Mode must be one of: auto, cool, dry, heat, fanonly or customdry');
+          }
 
-          case 'ecoMode':
-            logger.debug(`AC.setStatus: Set eco mode to ${properties[property] === true}`);
+          logger.debug(`AC.setStatus: Set mode to ${mode[properties[property]]}`);
 
-            status.ecoMode = properties[property] === true;
-            break;
+          status.mode = mode[properties[property]];
+          break;
+
+        case 'powerOn':
+          logger.debug(`AC.setStatus: Set power to ${properties[property] === true}`);
+
+          status.powerOn = properties[property] === true;
+          break;
+
+        case 'temperatureSetpoint':
+          if ((status.temperatureUnit === 0 || properties.temperatureUnit === 'celsius') &&
+            (properties[property] < 16 || properties[property] > 31)) {
+            throw new errors.OutOfRangeError('The temperatureSetpoint must be between 16 - 31°C');
+          }
 
-          case 'temperatureUnit':
-            if (properties[property] !== 'fahrenheit' && properties[property] !== 'celsius') {
-              return reject(new errors.OutOfRangeError('The temperatureUnit must either be fahrenheit or celsius'));
+          if (properties[property] % 1 && (self._capabilities || {}).decimals === false &&
+            status.temperatureUnit !== 1 && properties.temperatureUnit !== 'fahrenheit') {
+            throw new errors.OutOfRangeError('The unit does not support half degrees in the temperatureSetpoint');
+          }
+
+          if (status.temperatureUnit === 1 || properties.temperatureUnit === 'fahrenheit') {
+            if (properties[property] < 60 || properties[property] > 87) {
+              throw new errors.OutOfRangeError('The temperatureSetpoint must be between 60 - 87°F');
             }
+          }
 
-            logger.debug(`AC.setStatus: Set temperature unit to ${properties[property]} => ${properties[property] === 'fahrenheit' ? 0x01 : 0x00}`);
+          logger.debug(`AC.setStatus: Set temperatureSetpoint to ${properties[property]}`);
 
-            status.temperatureUnit = properties[property] === 'fahrenheit' ? 0x01 : 0x00;
-            break;
+          status.temperatureSetpoint = properties[property];
+          break;
 
-          case 'turboMode': // Requires capability strongCool and/or strongHeat
-            logger.debug(`AC.setStatus: Set turbo mode to ${properties[property] === true}`);
+        case 'sleepMode':
+          logger.debug(`AC.setStatus: Set sleep mode to ${properties[property] === true}`);
 
-            status.turboMode = properties[property] === true;
-            break;
+          status.sleepMode = properties[property] === true;
+          break;
 
-          case 'updownFan':
-            logger.debug(`AC.setStatus: Set updown fan to ${properties[property] === true}`);
+        case 'ecoMode':
+          logger.debug(`AC.setStatus: Set eco mode to ${properties[property] === true}`);
 
-            status.updownFan = properties[property] === true;
-            break;
+          status.ecoMode = properties[property] === true;
+          break;
 
-          default:
-            return reject(new errors.OutOfRangeError(`Unsupported property to be set (${property})`));
-        }
-      }
+        case 'temperatureUnit':
+          if (properties[property] !== 'fahrenheit' && properties[property] !== 'celsius') {
+            throw new errors.OutOfRangeError('The temperatureUnit must either be fahrenheit or celsius');
+          }
 
-      cmd[0] = 0x40;
-
-      // Byte 1
-      // ABCDEFGH:
-      // A: 0x00
-      // B: beep (sound notification when command/query is received)
-      // C: fastCheck
-      // D: timerMode (not used?)
-      // E: childSleep (sleep patterns for children) (not used?)
-      // F: resume (not used?)
-      // G: remoteControlMode (0: remote control, 1: PC) (followMe active or not???)
-      // H: powerOn
-      status.remoteControlMode = 1;
-      cmd[1] = (status.beep ? 0x40 : 0x00) | (status.fastCheck ? 0x20 : 0x00) |
-        (status.timerMode ? 0x10 : 0x00) | (status.childSleep ? 0x08 : 0x00) |
-          (status.resume ? 0x04 : 0x00) | 0x02 | (status.powerOn ? 0x01 : 0x00);
-
-      // Byte 2
-      // AAABCCCC
-      // A: mode
-      //    0: invalid
-      //    1: Auto
-      //    2: Cool
-      //    3: Dry
-      //    4: Heat
-      //    5: Fanonly
-      //    6: Custom dry (automatic dehumidification)
-      // B: temperatureSetpoint decimal (0.5)
-      // C: temperatureSetpoint
-      let setpoint = status.temperatureSetpoint;
-      if (setpoint > 60) {
-        // Convert Fahrenheit to Celsius
-        setpoint = Math.ceil((setpoint - 32) / 1.8 * 2) / 2;
-      }
+          logger.debug(`AC.setStatus: Set temperature unit to ${properties[property]} => ${properties[property] === 'fahrenheit' ? 0x01 : 0x00}`);
 
-      cmd[2] = (status.mode << 5) | (setpoint % 1 ? 0x10 : 0x00) | Math.floor(setpoint - 16);
-
-      // Byte 3
-      // ABBBBBBB
-      // A: -
-      // B: fanSpeed
-      //    0 - 100: Percentage
-      //    101: Fixed
-      //    102: Auto
-      cmd[3] = status.fanSpeed;
-      logger.error(`SET FANSPEED TO ${status.fanSpeed}`);
-
-      // Byte 4
-      // ABBBBBCC
-      // A: onTimer
-      // B: Hours
-      // C: Bits 0-1 of minutes
-      const totalOnMinutes = status.onTimerHours * 60 + status.onTimerMinutes;
-      let onHours = totalOnMinutes / 60;
-      let onMinutes = totalOnMinutes % 60;
-
-      if (onMinutes === 0 && onHours > 0) {
-        onMinutes = 60;
-        onHours--;
-      }
+          status.temperatureUnit = properties[property] === 'fahrenheit' ? 0x01 : 0x00;
+          break;
 
-      const onMinutesH = onMinutes / 15;
-      const onMinutesL = 15 - (onMinutes % 15);
+        case 'turboMode': // Requires capability turboCool and/or turboHeat
+          logger.debug(`AC.setStatus: Set turbo mode to ${properties[property] === true}`);
 
-      // if (onMinutes % 15 === 0) {
-      //   onMinutesL = 0;
-      //   onMinutesH ? onMinutesH-- : 0;
-      // }
+          status.turboMode = properties[property] === true;
+          break;
 
-      cmd[4] = (status.onTimer ? 0x80 : 0x00) | ((onHours & 0x1F) << 2) | (onMinutesH & 0x03);
+        case 'updownFan':
+          logger.debug(`AC.setStatus: Set updown fan to ${properties[property] === true}`);
 
-      // Byte 5
-      // ABBBBBCC
-      // A: offTimer
-      // B: Hours
-      // C: Bits 0-1 of minutes
-      const totalOffMinutes = status.offTimerHours * 60 + status.offTimerMinutes;
-      let offHours = totalOffMinutes / 60;
-      let offMinutes = totalOffMinutes % 60;
+          status.updownFan = properties[property] === true;
+          break;
 
-      if (offMinutes === 0 && offHours > 0) {
-        offMinutes = 60;
-        offHours--;
+        default:
+          throw new errors.OutOfRangeError(`Unsupported property to be set (${property})`);
       }
+    }
 
-      const offMinutesH = offMinutes / 15;
-      const offMinutesL = 15 - (offMinutes % 15);
-
-      // if (offMinutes % 15 === 0) {
-      //   offMinutesL = 0;
-      //   offMinutesH ? offMinutesH-- : 0;
-      // }
-      cmd[15] = (status.offTimer ? 0x80 : 0x00) | ((offHours & 0x1F) << 2) | (offMinutesH & 0x03);
-
-      // Byte 6
-      // AAAABBBB
-      // A: Bits 2-5 of minutes on timer
-      // B: Bits 2-5 of minutes off timer
-      cmd[16] = ((onMinutesL & 0x0F) << 4) | (offMinutesL & 0x0F);
-
-      // ABBBBBCC
-      // A: offTimerActive
-      // B: offTimerHours
-      // C: offTimerMinutes bits 0/1
-      cmd[5] = (status.offTimerActive ? 0x80 : 0x00) | (status.offTimerHours << 2) | (status.offTimerMinutes & 0x03);
-
-      // AAAABBBB
-      // A: timerOffMinutes bits 2-6
-      // B: timerOffMinutes bits 2-6
-      cmd[6] = ((status.timerOnMinutes & 0x2C) << 2) | (status.timerOffMinutes & 0x2C >> 2);
-
-      // Byte 7
-      // AAAABBCC
-      // A: 3
-      // B: updownFan
-      // C: leftrightFan
-      // From T0xAC:
-      // ? 0x11 - wide angle
-      // ? 0x12 - left wide angle
-      // ? 0x13 - right wide angle
-      // ? 0x14 - left fixed point
-      // ? 0x15 - right fixed point
-      // ? 0x16 - Front fixed point
-      // ? 0x17 - surround stereo style
-      // ? 0x18 - follow-windward
-      // ? 0x19 - avoid-avoid wind
-      // ? 0x20 - up and down swing
-      // ? 0x21 - Swing left and right when the wind is blowing
-      // ? 0x22 - side wind swing left and right
-      // ???? comfort wind (0x3-left and right wind) 0x38
-      // ???? comfort wind (0x3-up and down wind on the right side) 0x34
-      // ???? comfort wind (0x3-left and right wind) 0x32
-      // ???? comfort wind (0x3-right and left wind) 0x31
-      // LEFTRIGHT: 51=0x33, 63=0x3F
-      cmd[7] = 0x30 | (status.updownFan ? 0x0C : 0x00) | (status.leftrightFan ? 0x03 : 0x00);
-
-      // Byte 8
-      // ABCDEFGG
-      // A: feelOwn/PersonalFeeling (not used?)
-      // B: powerSaver/EnergySaving (not used?)
-      // C: turboMode
-      // D: lowFrequencyFan/RuiFeng (not used?)
-      // E: save/PowerSaving (not used?)
-      // F: alarmSleep (not used?)
-      // G: cosySleep/SleepMode (00=No comfortable sleep, 01=Sleep well 1, 02=Sleep well 2, 03=Sleep 3) (not used?)
-      cmd[8] = (status.feelOwn ? 0x80 : 0x00) | (status.powerSaver ? 0x40 : 0x00) |
-               (status.turboMode ? 0x20 : 0x00) | (status.lowFrequencyFan ? 0x10 : 0x00) |
-               (status.save ? 0x08 : 0x00) | (status.alarmSleep ? 0x04 : 0x00) |
-               (status.cosySleep & 0x03);
-
-      // Byte 9
-      // ABCDEFGH
-      // A: ecoMode
-      // B: changeCosySleep/Toggle sleep relief curve (not used?)
-      // C: cleanUp/Purification (not used?)
-      // D: ptcButton/1=when the electric auxiliary heating button is pressed (not used?)
-      // E: ptcHeater/Electric auxiliary heat (not used?)
-      // F: dryClean (not used?)
-      // G: exchangeAir/Ventilation (not used?)
-      // H: wiseEye/smartEye (not used?)
-      cmd[9] = (status.ecoMode ? 0x80 : 0x00) | (status.changeCosySlep ? 0x40 : 0x00) |
-               (status.purify ? 0x40 : 0x00) | (status.ptcButton ? 0x10 : 0x00) |
-               (status.ptcHeater ? 0x08 : 0x00) | (status.dryClean ? 0x04 : 0x00) |
-               (status.ventilation ? 0x02 : 0x00) | (status.smartEye ? 0x01 : 0x00);
-
-      // Byte 10
-      // ABCDEFGH
-      // A: cleanFanTime (Will be set when the filter warning is acknowledged. What will the appliance do?)
-      // B: dustFull (only when nestCheck capability, a clean the filter warning will be displayed)
-      // C: peakValleyElectricitySaving (not used?)
-      // D: nightLight (not used?)
-      // E: catchCold/Prevent Cold (not used?)
-      // F: temperatureUnit (1: fahrenheit / 0: celsius)
-      // G: turboMode
-      // H: sleepMode
-      cmd[10] = (status.cleanFanTime ? 0x80 : 0x00) | (status.dustFull ? 0x40 : 0x00) |
-                (status.peakValleyElectricitySaving ? 0x20 : 0x00) | (status.nightLight ? 0x10 : 0x00) |
-                (status.catchCold ? 0x08 : 0x00) | (status.temperatureUnit ? 0x04 : 0x00) |
-                (status.turboMode ? 0x02 : 0x00) | (status.sleepMode ? 0x01 : 0x00);
-
-      // Byte 11
-      // AAAABBBB
-      // A: setpointSecondHour (Temperature for the 2nd hour of sleep mode)
-      // B: setpointFirstHour (Start temperature for the 1st hour of sleep mode)
-
-      // Byte 12
-      // AAAABBBB
-      // A: setpointFourthHour (Temperature for the 4th hour of sleep mode)
-      // B: setpointThirdHour (Start temperature for the 3rd hour of sleep mode)
-
-      // Byte 13
-      // AAAABBBB
-      // A: setpointSixthHour (Temperature for the 6th hour of sleep mode)
-      // B: setpointFifthHour (Start temperature for the 5th hour of sleep mode)
-
-      // Byte 14
-      // AAAABBBB
-      // A: setpointEighthHour (Temperature for the 8th hour of sleep mode)
-      // B: setpointSeventhHour (Start temperature for the 7th hour of sleep mode)
-
-      // Byte 15
-      // AAAABBBB
-      // A: setpointTenthHour (Temperature for the 10th hour of sleep mode)
-      // B: setpointNinthHour (Start temperature for the 9th hour of sleep mode)
-
-      // Byte 16
-      // ABCDEFGH
-      // A: setpointEigthHour .5 degree
-      // B: setpointSeventHour .5 degree
-      // C: setpointSixthHour .5 degree
-      // D: setpointFifthHour .5 degree
-      // E: setpointFourthHour .5 degree
-      // F: setpointThirdHour .5 degree
-      // G: setpointSecondHour .5 degree
-      // H: setpointFirstHour .5 degree
-
-      // Byte 17
-      // ABCDEEEE
-      // A: bit 3 of PMV (0000=off, 0001=-3, 0010=-2.5, 0011=-2, 0100=-1.5, 0101=-1, 0110=-0.5, 0111=0, 1000=0.5, 1001=1, 1010=1.5, 1011=2, 1100=2.5, 1101=3)
-      // B: naturalWind
-      // C: setpointTenthHour .5 degree
-      // D: setpointNinthHour .5 degree
-      // E: sleepingHours (0-10)
-
-      // Byte 18
-      // AAABBBBB
-      // A: bit 0-2 of PMV
-      // B: setNewTemperature (not used?) (0=invalid, 1=13deg, 2=14deg, ...., 22=34deg)
-      cmd[18] = (status.setNewTemperature - 12) & 0x1F;
-
-      // Byte 19
-      // ABBBBBBB
-      // A: ??left/right fan (0=controlled by rocking left and right, 1=independent control)
-      // B: humiditySetpoint (35%-85%)
-      // TODO: The 19th byte bit7 is used to control the left and right swing wind. Fill in 0 by default
-      cmd[19] = status.humiditySetpoint;
-
-      // Byte 20
-      // ABBBBBBB
-      // TODO The 20th byte bit7 is used to control the left and right swing bit0-bit6 to set the wind speed of the purifier. Fill in 0 by default
-
-      // Byte 21
-      // ABCCCCCD
-      // A: frostProtectionMode
-      // B: dualControl/double_temp (not used?)
-      // C: temp (not used?)
-      // D: Decimal (not used?)
-      cmd[21] = (status.frostProtectionMode ? 0x80 : 0x00) | (status.dualControl ? 0x40 : 0x00) |
-                ((status.temp & 0x1F) << 1) | status.tempDot;
-
-      // Byte 22
-      // AAABCDEF
-      // A: - (default 0b100)
-      // B: windBlowing
-      // C: smartWind
-      // D: braceletControl (home mode status???)
-      // E: braceletSleep (Link state between bracelet and sleep comfort???)
-      // F: keepWarm
-      cmd[22] = 0x80 | (status.windBlowing ? 0x10 : 0x00) | (status.smartWind ? 0x08 : 0x00) | (status.braceletControl ? 0x04 : 0x00) |
-                (status.braceletSleep ? 0x02 : 0x00) | (status.keepWarm ? 0x01 : 0x00);
-
-      // Byte 23
-
-      if (++self._messageId === 256) {
-        self._messageId = 1;
+    self._validateCapabilities(properties, status);
+
+    if (status.sleepCurve !== self.sleepCurve) {
+      self._validateSleepCurve(status.sleepCurve, status.mode);
+    }
+
+    cmd[0] = 0x40;
+
+    // Byte 1
+    // ABCDEFGH:
+    // A: 0x00
+    // B: beep (sound notification when command/query is received)
+    // C: fastCheck
+    // D: timerMode (not used?)
+    // E: childSleep (sleep patterns for children) (not used?)
+    // F: resume (not used?)
+    // G: remoteControlMode (0: remote control, 1: PC) (followMe active or not???)
+    // H: powerOn
+    status.remoteControlMode = 1;
+    cmd[1] = (status.beep ? 0x40 : 0x00) | (status.fastCheck ? 0x20 : 0x00) |
+      (status.timerMode ? 0x10 : 0x00) | (status.childSleep ? 0x08 : 0x00) |
+        (status.resume ? 0x04 : 0x00) | 0x02 | (status.powerOn ? 0x01 : 0x00);
+
+    // Byte 2
+    // AAABCCCC
+    // A: mode
+    //    0: invalid
+    //    1: Auto
+    //    2: Cool
+    //    3: Dry
+    //    4: Heat
+    //    5: Fanonly
+    //    6: Custom dry (automatic dehumidification)
+    // B: temperatureSetpoint decimal (0.5)
+    // C: temperatureSetpoint
+    const setpoint = celsiusSetpoint(status.temperatureSetpoint, status.temperatureUnit);
+
+    cmd[2] = (status.mode << 5) | (setpoint % 1 ? 0x10 : 0x00) | Math.floor(setpoint - 16);
+
+    // Byte 3
+    // ABBBBBBB
+    // A: -
+    // B: fanSpeed
+    //    0 - 100: Percentage
+    //    101: Fixed
+    //    102: Auto
+    cmd[3] = status.fanSpeed;
+
+    // Byte 4
+    // ABBBBBCC
+    // A: onTimer
+    // B: Hours
+    // C: Quarters of the started hour
+    // Byte 5
+    // ABBBBBCC
+    // A: offTimer
+    // B: Hours
+    // C: Quarters of the started hour
+    // Byte 6
+    // AAAABBBB
+    // A: Minutes the on timer is before the end of the last quarter
+    // B: Minutes the off timer is before the end of the last quarter
+    const onTimer = encodeTimer(status.onTimer, status.onTimerHours, status.onTimerMinutes);
+    const offTimer = encodeTimer(status.offTimer, status.offTimerHours, status.offTimerMinutes);
+
+    cmd[4] = onTimer.hours;
+    cmd[5] = offTimer.hours;
+    cmd[6] = (onTimer.minutes << 4) | offTimer.minutes;
+
+    // Byte 7
+    // AAAABBCC
+    // A: 3
+    // B: updownFan
+    // C: leftrightFan
+    // From T0xAC:
+    // ? 0x11 - wide angle
+    // ? 0x12 - left wide angle
+    // ? 0x13 - right wide angle
+    // ? 0x14 - left fixed point
+    // ? 0x15 - right fixed point
+    // ? 0x16 - Front fixed point
+    // ? 0x17 - surround stereo style
+    // ? 0x18 - follow-windward
+    // ? 0x19 - avoid-avoid wind
+    // ? 0x20 - up and down swing
+    // ? 0x21 - Swing left and right when the wind is blowing
+    // ? 0x22 - side wind swing left and right
+    // ???? comfort wind (0x3-left and right wind) 0x38
+    // ???? comfort wind (0x3-up and down wind on the right side) 0x34
+    // ???? comfort wind (0x3-left and right wind) 0x32
+    // ???? comfort wind (0x3-right and left wind) 0x31
+    // LEFTRIGHT: 51=0x33, 63=0x3F
+    cmd[7] = 0x30 | (status.updownFan ? 0x0C : 0x00) | (status.leftrightFan ? 0x03 : 0x00);
+
+    // Byte 8
+    // ABCDEFGG
+    // A: feelOwn/PersonalFeeling, follow-me: the room temperature is sent with the follow-me command
+    // B: powerSaver/EnergySaving (not used?)
+    // C: turboMode
+    // D: lowFrequencyFan/RuiFeng (not used?)
+    // E: save/PowerSaving (not used?)
+    // F: alarmSleep (not used?)
+    // G: cosySleep/SleepMode (00=No comfortable sleep, 01=Sleep well 1, 02=Sleep well 2, 03=Sleep 3) (not used?)
+    cmd[8] = (status.followMe || status.feelOwn ? 0x80 : 0x00) | (status.powerSaver ? 0x40 : 0x00) |
+             (status.turboMode ? 0x20 : 0x00) | (status.lowFrequencyFan ? 0x10 : 0x00) |
+             (status.save ? 0x08 : 0x00) | (status.alarmSleep ? 0x04 : 0x00) |
+             (status.cosySleep & 0x03);
+
+    // Byte 9
+    // ABCDEFGH
+    // A: ecoMode
+    // B: changeCosySleep/Toggle sleep relief curve (not used?)
+    // C: cleanUp/Purification (not used?)
+    // D: ptcButton/1=when the electric auxiliary heating button is pressed (not used?)
+    // E: ptcHeater/Electric auxiliary heat (not used?)
+    // F: dryClean (not used?)
+    // G: exchangeAir/Ventilation (not used?)
+    // H: wiseEye/smartEye (not used?)
+    cmd[9] = (status.ecoMode ? 0x80 : 0x00) | (status.changeCosySlep ? 0x40 : 0x00) |
+             (status.purify ? 0x40 : 0x00) | (status.ptcButton ? 0x10 : 0x00) |
+             (status.ptcHeater ? 0x08 : 0x00) | (status.dryClean ? 0x04 : 0x00) |
+             (status.ventilation ? 0x02 : 0x00) | (status.smartEye ? 0x01 : 0x00);
+
+    // Byte 10
+    // ABCDEFGH
+    // A: cleanFanTime (Will be set when the filter warning is acknowledged. What will the appliance do?)
+    // B: dustFull (only when nestCheck capability, a clean the filter warning will be displayed)
+    // C: peakValleyElectricitySaving (not used?)
+    // D: nightLight (not used?)
+    // E: catchCold/Prevent Cold (not used?)
+    // F: temperatureUnit (1: fahrenheit / 0: celsius)
+    // G: turboMode
+    // H: sleepMode
+    cmd[10] = (status.cleanFanTime ? 0x80 : 0x00) | (status.dustFull ? 0x40 : 0x00) |
+              (status.peakValleyElectricitySaving ? 0x20 : 0x00) | (status.nightLight ? 0x10 : 0x00) |
+              (status.catchCold ? 0x08 : 0x00) | (status.temperatureUnit ? 0x04 : 0x00) |
+              (status.turboMode ? 0x02 : 0x00) | (status.sleepMode ? 0x01 : 0x00);
+
+    // Byte 11 - 15: the setpoint of every hour of sleep mode (16 - 31°C), two hours per byte
+    // Byte 16 - 17: .5 degree of the setpoint of every hour and the number of sleeping hours
+    const curve = status.sleepCurve || [];
+
+    curve.forEach((setpoint, hour) => {
+      cmd[11 + (hour >> 1)] |= (Math.floor(setpoint) - 16) << (hour % 2 ? 4 : 0);
+
+      if (setpoint % 1) {
+        cmd[hour < 8 ? 16 : 17] |= 1 << (hour < 8 ? hour : hour - 4);
       }
-      cmd[cmd.length - 1] = self._messageId;
+    });
 
-      cmd = createCommand(cmd, 0x02);
+    cmd[17] |= curve.length & 0x0F;
+
+    // Byte 11
+    // AAAABBBB
+    // A: setpointSecondHour (Temperature for the 2nd hour of sleep mode)
+    // B: setpointFirstHour (Start temperature for the 1st hour of sleep mode)
+
+    // Byte 12
+    // AAAABBBB
+    // A: setpointFourthHour (Temperature for the 4th hour of sleep mode)
+    // B: setpointThirdHour (Start temperature for the 3rd hour of sleep mode)
+
+    // Byte 13
+    // AAAABBBB
+    // A: setpointSixthHour (Temperature for the 6th hour of sleep mode)
+    // B: setpointFifthHour (Start temperature for the 5th hour of sleep mode)
+
+    // Byte 14
+    // AAAABBBB
+    // A: setpointEighthHour (Temperature for the 8th hour of sleep mode)
+    // B: setpointSeventhHour (Start temperature for the 7th hour of sleep mode)
+
+    // Byte 15
+    // AAAABBBB
+    // A: setpointTenthHour (Temperature for the 10th hour of sleep mode)
+    // B: setpointNinthHour (Start temperature for the 9th hour of sleep mode)
+
+    // Byte 16
+    // ABCDEFGH
+    // A: setpointEigthHour .5 degree
+    // B: setpointSeventHour .5 degree
+    // C: setpointSixthHour .5 degree
+    // D: setpointFifthHour .5 degree
+    // E: setpointFourthHour .5 degree
+    // F: setpointThirdHour .5 degree
+    // G: setpointSecondHour .5 degree
+    // H: setpointFirstHour .5 degree
+
+    // Byte 17
+    // ABCDEEEE
+    // A: bit 3 of PMV (0000=off, 0001=-3, 0010=-2.5, 0011=-2, 0100=-1.5, 0101=-1, 0110=-0.5, 0111=0, 1000=0.5, 1001=1, 1010=1.5, 1011=2, 1100=2.5, 1101=3)
+    // B: naturalWind
+    // C: setpointTenthHour .5 degree
+    // D: setpointNinthHour .5 degree
+    // E: sleepingHours (0-10)
+
+    // Byte 18
+    // AAABBBBB
+    // A: bit 0-2 of PMV
+    // B: setNewTemperature (not used?) (0=invalid, 1=13deg, 2=14deg, ...., 22=34deg)
+    cmd[18] = (status.setNewTemperature - 12) & 0x1F;
+
+    // Byte 19
+    // ABBBBBBB
+    // A: ??left/right fan (0=controlled by rocking left and right, 1=independent control)
+    // B: humiditySetpoint (35%-85%)
+    // TODO: The 19th byte bit7 is used to control the left and right swing wind. Fill in 0 by default
+    cmd[19] = status.humiditySetpoint;
+
+    // Byte 20
+    // ABBBBBBB
+    // TODO The 20th byte bit7 is used to control the left and right swing bit0-bit6 to set the wind speed of the purifier. Fill in 0 by default
+
+    // Byte 21
+    // ABCCCCCD
+    // A: frostProtectionMode
+    // B: dualControl/double_temp (not used?)
+    // C: temp (not used?)
+    // D: Decimal (not used?)
+    cmd[21] = (status.frostProtectionMode ? 0x80 : 0x00) | (status.dualControl ? 0x40 : 0x00) |
+              ((status.temp & 0x1F) << 1) | status.tempDot;
+
+    // Byte 22
+    // AAABCDEF
+    // A: - (default 0b100)
+    // B: windBlowing
+    // C: smartWind
+    // D: braceletControl (home mode status???)
+    // E: braceletSleep (Link state between bracelet and sleep comfort???)
+    // F: keepWarm
+    cmd[22] = 0x80 | (status.windBlowing ? 0x10 : 0x00) | (status.smartWind ? 0x08 : 0x00) | (status.braceletControl ? 0x04 : 0x00) |
+              (status.braceletSleep ? 0x02 : 0x00) | (status.keepWarm ? 0x01 : 0x00);
+
+    // Byte 23
+
+    // Message id, counted up once the command has been sent (see setStatus)
+    cmd[cmd.length - 1] = self._messageId % 255 + 1;
+
+    cmd = createCommand(cmd, 0x02);
+
+    return cmd;
+  }
 
-      // Send the command
-      self._request(cmd, 'setStatus', retry)
+  setStatus (properties = {}, retry = 0) {
+    const self = this;
+
+    logger.silly(`AC.setStatus: Entering with ${JSON.stringify(properties)}`);
+
+    return new Promise((resolve, reject) => {
+      let cmd;
+
+      try {
+        cmd = self._buildSetStatusCommand(properties);
+      } catch (error) {
+        return reject(error);
+      }
+
+      // Send the command, the transport may merge it with pending setStatus commands
+      // and therefore needs to be able to encode the merged properties
+      self._request(cmd, 'setStatus', retry, {
+        coalesce: {
+          properties,
+          build: properties => self._buildSetStatusCommand(properties)
+        }
+      })
         .then(response => {
           const parsedData = parse(response);
 
+          // The unit accepted the command, the settings it does not report are taken over now
+          self._messageId = self._messageId % 255 + 1;
+
+          if (properties.sleepCurve !== undefined) {
+            self.sleepCurve = properties.sleepCurve;
+          }
+
+          if (properties.followMe !== undefined) {
+            self.followMe = properties.followMe === true;
+          }
+
           // Update in-memory state
           const updates = self._updateStatus(parsedData);
 
@@ -649,4 +1017,21 @@ module.exports = class extends EventEmitter {
         });
     });
   }
+
+  // Send a complete frame (e.g. of a client of the proxy) and return the response frame as is. The
+  // frame is queued like any other command, status responses also update the in-memory state.
+  sendFrame (frame) {
+    const self = this;
+
+    logger.silly(`AC.sendFrame: Entering with ${frame.toString('hex')}`);
+
+    return self._request(frame, 'sendFrame')
+      .then(response => {
+        if ([0xA0, 0xA1, 0xC0, 0xC1].includes(response[10])) {
+          self._processNotification(response);
+        }
+
+        return response;
+      });
+  }
 };
@@ -91,3 +91,16 @@ exports.createCommand = (cmd, msgType, protocol = 0x03, applianceType = 0xAC, ad
 
   return cmd;
 };
+
+// Set the message id (byte 6 of the header) of a frame, the checksum is updated accordingly
+exports.setMessageId = (frame, messageId) => {
+  frame = Buffer.from(frame);
+
+  frame[6] = messageId;
+  frame[frame.length - 1] = calculateCheckSum(frame.subarray(0, -1));
+
+  return frame;
+};
+
+exports.calculateCrc = calculateCrc;
+exports.calculateCheckSum = calculateCheckSum;
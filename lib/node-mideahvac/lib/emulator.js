@@ -0,0 +1,501 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const logger = require('winston');
+const net = require('net');
+
+const { createCommand, setMessageId } = require('./ac_common');
+const Framer = require('./framer');
+const { properties: PROPERTIES } = require('./parsers/B1');
+
+const MSGTYPE_SET = 0x02;
+const MSGTYPE_QUERY = 0x03;
+const MSGTYPE_NOTIFICATION = 0x04;
+const MSGTYPE_NETWORK_NOTIFICATION = 0x0D;
+
+// Delay between the parts of a split response
+const SPLIT_DELAY = 50;
+
+// Delay of a late response, longer than the time a command waits for its response
+const LATE_DELAY = 2500;
+
+const FAULTS = ['timeout', 'late', 'checksum', 'split', 'messageId'];
+
+// Capabilities reported on two pages, the second page is requested with the 'more' index of the first one.
+// Every capability is encoded as: id, type (0x00 or 0x02), length, value(s)
+const CAPABILITY_PAGES = [
+  [
+    [0x14, 0x02, 0x01, 0x01], // cool, heat, dry and auto mode
+    [0x15, 0x02, 0x01, 0x01], // up/down and left/right fan
+    [0x1A, 0x02, 0x01, 0x01], // turbo cool and heat
+    [0x12, 0x02, 0x01, 0x01], // eco mode
+    [0x13, 0x02, 0x01, 0x01], // frost protection mode
+    [0x16, 0x02, 0x01, 0x02], // power usage
+    [0x25, 0x02, 0x07, 0x20, 0x3C, 0x20, 0x3C, 0x20, 0x3C, 0x00] // 16 - 30 degrees for all modes, no decimals
+  ],
+  [
+    [0x10, 0x02, 0x01, 0x00], // fan speed control
+    [0x22, 0x02, 0x01, 0x00], // temperature unit changeable
+    [0x1F, 0x02, 0x01, 0x03], // manual humidity setpoint
+    [0x2C, 0x02, 0x01, 0x01], // buzzer
+    [0x24, 0x02, 0x01, 0x01], // display light control
+    [0x39, 0x00, 0x01, 0x01], // self-clean
+    [0x43, 0x00, 0x01, 0x00], // breeze
+    [0x32, 0x00, 0x01, 0x01], // wind on me
+    [0x33, 0x00, 0x01, 0x00] // wind off me
+  ]
+];
+
+// Emulates an indoor unit behind a TCP serial bridge for development and tests. The emulator keeps
+// its own status, answers the capabilities (0xB5), status (0x41/0xC0), power usage (0x41/0xC1), set
+// status (0x40), display toggle (0x41/0x61), follow-me temperature (0x41/0x81 function 0x06),
+// properties (0xB0/0xB1) and network status (0x0D) commands and can inject faults in its responses.
+// Events:
+// - listening: the server accepts connections (port)
+// - request: a frame has been received from a client (frame)
+// - set: a set status command has been applied (status)
+module.exports = class extends EventEmitter {
+  constructor (options = {}) {
+    super();
+
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+
+    this.status = {
+      powerOn: false,
+      mode: 2,
+      temperatureSetpoint: 24,
+      fanSpeed: 102,
+      updownFan: false,
+      leftrightFan: false,
+      turboMode: false,
+      ecoMode: false,
+      sleepMode: false,
+      frostProtectionMode: false,
+      temperatureUnit: 0,
+      humiditySetpoint: 50,
+      indoorTemperature: 23.5,
+      outdoorTemperature: 12,
+      statusCode: 0,
+      powerUsage: 0,
+      updownFanAngle: 50,
+      leftrightFanAngle: 50,
+      indoorHumidity: 45,
+      silkyCool: false,
+      windOnMe: false,
+      windOffMe: false,
+      selfClean: false,
+      breeze: 1,
+      buzzer: true,
+      light: 0,
+      ...options.status
+    };
+
+    this.capabilityPages = options.capabilityPages || CAPABILITY_PAGES;
+
+    // Number of responses the fault is still applied to
+    this._faults = {};
+    FAULTS.forEach(fault => {
+      this._faults[fault] = 0;
+    });
+
+    // Bytes 4 - 6 of the last set status command (on and off timer)
+    this._timers = Buffer.alloc(3);
+
+    // Follow-me is switched on by the remote control mode bit of the set status command, the
+    // follow-me temperature is then reported as indoor temperature
+    this.followMe = false;
+
+    this._server = null;
+    this._clients = new Set();
+  }
+
+  start () {
+    const self = this;
+
+    return new Promise((resolve, reject) => {
+      self._server = net.createServer(socket => self._clientHandler(socket));
+
+      self._server.once('error', reject);
+
+      self._server.listen(self.port, self.host, () => {
+        self.port = self._server.address().port;
+
+        logger.debug(`Emulator.start: Listening on ${self.host}:${self.port}`);
+
+        self.emit('listening', self.port);
+
+        resolve(self.port);
+      });
+    });
+  }
+
+  stop () {
+    const self = this;
+
+    return new Promise(resolve => {
+      self._clients.forEach(socket => socket.destroy());
+      self._clients.clear();
+
+      if (!self._server) {
+        return resolve();
+      }
+
+      self._server.close(() => resolve());
+      self._server = null;
+    });
+  }
+
+  // Apply a fault to the next responses:
+  // - timeout: the command is not answered
+  // - late: the response is sent after the command timed out
+  // - checksum: the checksum of the response is invalid
+  // - split: the response is sent in two parts
+  // - messageId: the response returns the message id 1 instead of the id of the command
+  injectFault (fault, count = 1) {
+    if (!FAULTS.includes(fault)) {
+      throw new Error(`Unknown fault '${fault}', must be one of: ${FAULTS.join(', ')}`);
+    }
+
+    this._faults[fault] += count;
+  }
+
+  // Report an error code (0: no error), e.g. 3 for an indoor/outdoor communication failure
+  setErrorCode (code) {
+    this.update({ statusCode: code });
+  }
+
+  // Change the status like the IR remote control or the environment would, the clients are notified
+  // with a status (0xA0) and a sensor (0xA1) notification
+  update (properties = {}) {
+    const self = this;
+
+    Object.assign(self.status, properties);
+
+    self._broadcast(self._encodeStatusNotification());
+    self._broadcast(self._encodeSensorNotification());
+  }
+
+  _clientHandler (socket) {
+    const self = this;
+    const framer = new Framer();
+
+    logger.debug('Emulator._clientHandler: Client connected');
+
+    self._clients.add(socket);
+
+    framer.on('frame', frame => self._frameHandler(socket, frame));
+
+    socket.on('data', data => framer.push(data));
+
+    socket.on('error', error => {
+      logger.debug(`Emulator._clientHandler: ${error.message}`);
+    });
+
+    socket.on('close', () => {
+      self._clients.delete(socket);
+    });
+  }
+
+  _frameHandler (socket, frame) {
+    const self = this;
+    const body = frame.subarray(10, -1);
+
+    // The response returns the message id of the command
+    const respond = response => self._respond(socket, setMessageId(response, frame[6]));
+
+    logger.debug(`Emulator._frameHandler: Received ${frame.toString('hex')}`);
+
+    self.emit('request', frame);
+
+    switch (frame[9]) {
+      case MSGTYPE_NETWORK_NOTIFICATION:
+        return respond(createCommand(Buffer.from([0x0D, 0x01]), MSGTYPE_NETWORK_NOTIFICATION, 0x03, 0xAC, false));
+
+      case MSGTYPE_SET:
+        if (body[0] === 0x40) {
+          self._applySetStatus(body);
+
+          return respond(self._encodeStatus());
+        }
+
+        if (body[0] === 0xB0) {
+          return respond(self._encodeProperties(0xB0, self._applyProperties(body), MSGTYPE_SET));
+        }
+
+        if (body[0] === 0x41 && body[1] === 0x61) {
+          // The display toggles between on (0) and off (7)
+          self.status.light = self.status.light === 7 ? 0 : 7;
+
+          return respond(self._encodeStatus());
+        }
+        break;
+
+      case MSGTYPE_QUERY:
+        if (body[0] === 0x41 && body[1] === 0x81) {
+          if (body[4] === 0x06 && self.followMe) {
+            self.status.indoorTemperature = (body[5] - 50) / 2;
+          }
+
+          return respond(self._encodeStatus());
+        }
+
+        if (body[0] === 0x41 && body[1] === 0x21) {
+          return respond(self._encodePowerUsage());
+        }
+
+        if (body[0] === 0xB1) {
+          const ids = [];
+
+          for (let i = 2; i + 1 < body.length && ids.length < body[1]; i += 2) {
+            ids.push(body[i] | (body[i + 1] << 8));
+          }
+
+          return respond(self._encodeProperties(0xB1, ids, MSGTYPE_QUERY));
+        }
+
+        if (body[0] === 0xB5) {
+          // The first page is requested with 0xB5 0x01 0x11, the next pages with 0xB5 0x01 0x01 <page>
+          return respond(self._encodeCapabilities(body[2] === 0x01 ? body[3] : 0));
+        }
+        break;
+    }
+
+    logger.debug(`Emulator._frameHandler: Ignoring unsupported frame ${frame.toString('hex')}`);
+  }
+
+  _respond (socket, frame) {
+    const self = this;
+
+    if (self._faults.timeout) {
+      self._faults.timeout--;
+
+      return logger.debug('Emulator._respond: Dropping response (timeout fault)');
+    }
+
+    if (self._faults.late) {
+      self._faults.late--;
+
+      return setTimeout(() => {
+        if (!socket.destroyed) {
+          socket.write(frame);
+        }
+      }, LATE_DELAY);
+    }
+
+    if (self._faults.messageId) {
+      self._faults.messageId--;
+
+      frame = setMessageId(frame, 0x01);
+    }
+
+    if (self._faults.checksum) {
+      self._faults.checksum--;
+
+      frame = Buffer.from(frame);
+      frame[frame.length - 1] ^= 0xFF;
+    }
+
+    if (self._faults.split) {
+      self._faults.split--;
+
+      const half = Math.floor(frame.length / 2);
+
+      socket.write(frame.subarray(0, half));
+
+      return setTimeout(() => {
+        if (!socket.destroyed) {
+          socket.write(frame.subarray(half));
+        }
+      }, SPLIT_DELAY);
+    }
+
+    socket.write(frame);
+  }
+
+  _broadcast (frame) {
+    this._clients.forEach(socket => socket.write(frame));
+  }
+
+  // Decode the set status command (see AC._buildSetStatusCommand)
+  _applySetStatus (body) {
+    const self = this;
+    const status = self.status;
+
+    status.powerOn = (body[1] & 0x01) === 0x01;
+    self.followMe = (body[8] & 0x80) === 0x80;
+
+    if (body[2] >> 5) {
+      status.mode = body[2] >> 5;
+    }
+
+    status.temperatureSetpoint = (body[2] & 0x0F) + 16 + ((body[2] & 0x10) ? 0.5 : 0);
+    status.fanSpeed = body[3] & 0x7F;
+    status.updownFan = (body[7] & 0x0C) === 0x0C;
+    status.leftrightFan = (body[7] & 0x03) === 0x03;
+    status.turboMode = (body[8] & 0x20) === 0x20 || (body[10] & 0x02) === 0x02;
+    status.ecoMode = (body[9] & 0x80) === 0x80;
+    status.temperatureUnit = (body[10] & 0x04) >> 2;
+    status.sleepMode = (body[10] & 0x01) === 0x01;
+    status.frostProtectionMode = (body[21] & 0x80) === 0x80;
+
+    // The timers are reported as they have been set, they do not count down
+    self._timers = Buffer.from(body.subarray(4, 7));
+
+    if (body[19] & 0x7F) {
+      status.humiditySetpoint = body[19] & 0x7F;
+    }
+
+    logger.debug(`Emulator._applySetStatus: New status ${JSON.stringify(status)}`);
+
+    self.emit('set', { ...status });
+  }
+
+  // Temperatures are encoded as (value * 2 + 50) with the remaining tenths in a separate nibble
+  _encodeTemperature (temperature) {
+    const halves = temperature >= 0 ? Math.floor(temperature * 2) : Math.ceil(temperature * 2);
+
+    return {
+      value: (halves + 50) & 0xFF,
+      decimal: Math.min(Math.round(Math.abs(temperature - halves / 2) * 10), 9)
+    };
+  }
+
+  _encodeStatus () {
+    const self = this;
+    const status = self.status;
+    const body = Buffer.alloc(24);
+    const indoor = self._encodeTemperature(status.indoorTemperature);
+    const outdoor = self._encodeTemperature(status.outdoorTemperature);
+
+    body[0] = 0xC0;
+    body[1] = (status.statusCode ? 0x80 : 0x00) | (status.powerOn ? 0x01 : 0x00);
+    body[2] = (status.mode << 5) | (status.temperatureSetpoint % 1 ? 0x10 : 0x00) | ((Math.floor(status.temperatureSetpoint) - 16) & 0x0F);
+    body[3] = status.fanSpeed & 0x7F;
+    self._timers.copy(body, 4);
+    body[7] = 0x30 | (status.updownFan ? 0x0C : 0x00) | (status.leftrightFan ? 0x03 : 0x00);
+    body[8] = (self.followMe ? 0x80 : 0x00) | (status.turboMode ? 0x20 : 0x00);
+    body[9] = status.ecoMode ? 0x10 : 0x00;
+    body[10] = (status.temperatureUnit ? 0x04 : 0x00) | (status.turboMode ? 0x02 : 0x00) | (status.sleepMode ? 0x01 : 0x00);
+    body[11] = indoor.value;
+    body[12] = outdoor.value;
+    body[14] = (status.light & 0x07) << 4;
+    body[15] = (outdoor.decimal << 4) | indoor.decimal;
+    body[16] = status.statusCode;
+    body[19] = status.humiditySetpoint & 0x7F;
+    body[21] = status.frostProtectionMode ? 0x80 : 0x00;
+    body[22] = 0xE0;
+
+    return createCommand(body, MSGTYPE_QUERY);
+  }
+
+  // The power usage is reported in kWh as 6 BCD digits with 4 decimals in byte 16 - 18
+  _encodePowerUsage () {
+    const body = Buffer.alloc(20);
+    const digits = String(Math.round(this.status.powerUsage * 10000) % 1000000).padStart(6, '0');
+
+    body[0] = 0xC1;
+    body[1] = 0x21;
+    body[2] = 0x01;
+    body[3] = 0x44;
+
+    for (let i = 0; i < 3; i++) {
+      body[16 + i] = (Number(digits[i * 2]) << 4) | Number(digits[i * 2 + 1]);
+    }
+
+    return createCommand(body, MSGTYPE_QUERY);
+  }
+
+  // Set properties command: id (2 bytes), length and value of every property
+  _applyProperties (body) {
+    const self = this;
+    const ids = [];
+
+    for (let i = 2; i + 2 < body.length && ids.length < body[1]; i += 3 + body[i + 2]) {
+      const id = body[i] | (body[i + 1] << 8);
+      const property = PROPERTIES.get(id);
+
+      if (property && self.status[property.name] !== undefined) {
+        self.status[property.name] = property.decode(body.subarray(i + 3, i + 3 + body[i + 2]));
+      }
+
+      ids.push(id);
+    }
+
+    logger.debug(`Emulator._applyProperties: New status ${JSON.stringify(self.status)}`);
+
+    self.emit('set', { ...self.status });
+
+    return ids;
+  }
+
+  // Every requested property is answered with its id, result, length and value, properties that
+  // are not part of the status are answered as not supported
+  _encodeProperties (type, ids, msgType) {
+    const self = this;
+
+    const entries = ids.map(id => {
+      const property = PROPERTIES.get(id);
+      const value = property ? self.status[property.name] : undefined;
+
+      if (value === undefined) {
+        return [id & 0xFF, id >> 8, 0x01, 0x00];
+      }
+
+      return [id & 0xFF, id >> 8, 0x00, 0x01, Number(value) & 0xFF];
+    });
+
+    const body = Buffer.from([
+      type,
+      entries.length,
+      ...[].concat(...entries)
+    ]);
+
+    return createCommand(body, msgType);
+  }
+
+  // A page that is followed by another page ends with the index of the next page and a reserved byte
+  _encodeCapabilities (page) {
+    const self = this;
+    const capabilities = self.capabilityPages[page] || [];
+    const more = page + 1 < self.capabilityPages.length ? [page + 1, 0x00] : [];
+
+    const body = Buffer.from([
+      0xB5,
+      capabilities.length,
+      ...[].concat(...capabilities),
+      ...more
+    ]);
+
+    return createCommand(body, MSGTYPE_QUERY);
+  }
+
+  _encodeStatusNotification () {
+    const status = this.status;
+    const body = Buffer.alloc(19);
+    const setpoint = Math.floor(status.temperatureSetpoint);
+
+    body[0] = 0xA0;
+    body[1] = (status.temperatureSetpoint % 1 ? 0x40 : 0x00) | (((setpoint - 12) & 0x1F) << 1) | (status.powerOn ? 0x01 : 0x00);
+    body[2] = status.mode << 5;
+    body[3] = status.fanSpeed & 0x7F;
+    body[7] = 0x30 | (status.updownFan ? 0x0C : 0x00) | (status.leftrightFan ? 0x03 : 0x00);
+    body[8] = (self.followMe ? 0x80 : 0x00) | (status.turboMode ? 0x20 : 0x00);
+    body[10] = (status.temperatureUnit ? 0x80 : 0x00) | (status.ecoMode ? 0x10 : 0x00);
+
+    return createCommand(body, MSGTYPE_NOTIFICATION);
+  }
+
+  _encodeSensorNotification () {
+    const body = Buffer.alloc(19);
+    const indoor = this._encodeTemperature(this.status.indoorTemperature);
+    const outdoor = this._encodeTemperature(this.status.outdoorTemperature);
+
+    body[0] = 0xA1;
+    body[13] = indoor.value;
+    body[14] = outdoor.value;
+    body[18] = (outdoor.decimal << 4) | indoor.decimal;
+
+    return createCommand(body, MSGTYPE_NOTIFICATION);
+  }
+};
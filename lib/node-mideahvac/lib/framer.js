@@ -0,0 +1,168 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const logger = require('winston');
+
+const { calculateCrc, calculateCheckSum } = require('./ac_common');
+
+// Add a transport as fall back when no parent logger has been initialized
+// to prevent the error: "Attempt to write logs with no transports"
+logger.add(new logger.transports.Console({
+  level: 'none'
+}));
+
+const SYNC_HEADER = 0xAA;
+
+// Minimum frame: 10 byte header, 1 byte body and 1 byte checksum
+const MIN_FRAME_LENGTH = 12;
+
+// Message types that carry a CRC8 over the body (see createCommand in ac_common.js).
+// Other message types (e.g. 0x07 electronic id, 0x0D/0x63 network status) have no CRC.
+const CRC_MESSAGE_TYPES = [0x02, 0x03, 0x04, 0x05];
+
+// Discard a partially received frame when the rest does not arrive within this time
+const STALE_TIMEOUT = 1000;
+
+// Reassembles 0xAA frames from a byte stream and validates them
+// Events:
+// - frame: a complete and valid frame has been received
+// - invalid-frame: a frame or bytes have been discarded, reason is one of:
+//   - sync: bytes received outside a frame
+//   - length: the length byte is invalid
+//   - checksum: the checksum does not match
+//   - crc: the CRC8 of the body does not match
+//   - timeout: the rest of a partial frame was not received in time
+module.exports = class extends EventEmitter {
+  constructor (options = {}) {
+    super();
+
+    this.staleTimeout = options.staleTimeout || STALE_TIMEOUT;
+
+    this._buffer = Buffer.alloc(0);
+    this._lastReceived = 0;
+
+    this.statistics = {
+      framesReceived: 0,
+      bytesDiscarded: 0,
+      syncErrors: 0,
+      lengthErrors: 0,
+      checksumErrors: 0,
+      crcErrors: 0,
+      timeouts: 0
+    };
+  }
+
+  push (data) {
+    const self = this;
+    const now = Date.now();
+
+    if (self._buffer.length && now - self._lastReceived > self.staleTimeout) {
+      logger.debug(`Framer.push: Discarding stale partial frame ${self._buffer.toString('hex')}`);
+
+      self._discard(self._buffer.length, 'timeout');
+    }
+
+    self._lastReceived = now;
+    self._buffer = Buffer.concat([self._buffer, data]);
+
+    while (self._buffer.length) {
+      // Resynchronize on the sync header
+      if (self._buffer[0] !== SYNC_HEADER) {
+        let start = self._buffer.indexOf(SYNC_HEADER);
+
+        if (start === -1) {
+          start = self._buffer.length;
+        }
+
+        logger.debug(`Framer.push: Discarding ${start} byte(s) without sync header`);
+
+        self._discard(start, 'sync');
+        continue;
+      }
+
+      if (self._buffer.length < 2) {
+        return;
+      }
+
+      // The length byte covers everything except the trailing checksum
+      const length = self._buffer[1] + 1;
+
+      if (length < MIN_FRAME_LENGTH) {
+        logger.debug(`Framer.push: Invalid frame length (${self._buffer[1]})`);
+
+        self._discard(1, 'length');
+        continue;
+      }
+
+      if (self._buffer.length < length) {
+        return;
+      }
+
+      const frame = self._buffer.subarray(0, length);
+
+      if ((calculateCheckSum(frame.subarray(0, length - 1)) & 0xFF) !== frame[length - 1]) {
+        logger.debug(`Framer.push: Invalid checksum for frame ${frame.toString('hex')}`);
+
+        // Only drop the sync header, the real frame could start within the discarded bytes
+        self._discard(1, 'checksum');
+        continue;
+      }
+
+      self._buffer = self._buffer.subarray(length);
+
+      if (CRC_MESSAGE_TYPES.includes(frame[9]) && calculateCrc(frame.subarray(10, length - 2)) !== frame[length - 2]) {
+        logger.debug(`Framer.push: Invalid CRC8 for frame ${frame.toString('hex')}`);
+
+        self.statistics.bytesDiscarded += length;
+        self._invalid('crc', frame);
+        continue;
+      }
+
+      self.statistics.framesReceived++;
+
+      self.emit('frame', Buffer.from(frame));
+    }
+  }
+
+  reset () {
+    this._buffer = Buffer.alloc(0);
+  }
+
+  _discard (count, reason) {
+    const self = this;
+    const discarded = self._buffer.subarray(0, count);
+
+    self._buffer = self._buffer.subarray(count);
+    self.statistics.bytesDiscarded += count;
+
+    self._invalid(reason, discarded);
+  }
+
+  _invalid (reason, data) {
+    const self = this;
+
+    switch (reason) {
+      case 'sync':
+        self.statistics.syncErrors++;
+        break;
+
+      case 'length':
+        self.statistics.lengthErrors++;
+        break;
+
+      case 'checksum':
+        self.statistics.checksumErrors++;
+        break;
+
+      case 'crc':
+        self.statistics.crcErrors++;
+        break;
+
+      case 'timeout':
+        self.statistics.timeouts++;
+        break;
+    }
+
+    self.emit('invalid-frame', reason, Buffer.from(data));
+  }
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const parsers = require('./parsers');
+
 exports.createAppliance = (options = {}) => {
   let Method;
 
@@ -12,11 +14,31 @@ exports.createAppliance = (options = {}) => {
       Method = require('./serialbridge');
       return new Method(options);
 
+    case 'serialport':
+      Method = require('./serialport');
+      return new Method(options);
+
     case 'sk103':
       Method = require('./sk103');
       return new Method(options);
 
+    case 'replay':
+      Method = require('./replay');
+      return new Method(options);
+
     default:
       throw new Error('Unknown communication method specified');
   }
 };
+
+// Parsers of the responses and of the properties of the property messages (0xB0/0xB1) can be
+// added or replaced, e.g. for response types that are not supported yet
+exports.registerParser = parsers.register;
+exports.registerProperty = parsers.registerProperty;
+
+// Emulated indoor unit for development and tests, see emulator.js
+exports.createEmulator = (options = {}) => {
+  const Emulator = require('./emulator');
+
+  return new Emulator(options);
+};
@@ -0,0 +1,80 @@
+'use strict';
+
+const logger = require('winston');
+
+// Add a transport as fall back when no parent logger has been initialized
+// to prevent the error: "Attempt to write logs with no transports"
+logger.add(new logger.transports.Console({
+  level: 'none'
+}));
+
+// Status notification, sent by the unit when its status has been changed
+// by another source than this module (e.g. the IR remote control)
+exports.parser = (data) => {
+  const status = {};
+
+  logger.debug(`A0.parser: Entering with ${data.toString('hex')} - ${data.length}`);
+
+  if (data.length < 11) {
+    logger.error(`A0.parser: Invalid data length (${data.length})`);
+    return status;
+  }
+
+  // Byte 1
+  // ABCCCCCD
+  // A: -
+  // B: decimal (0.5) of temperatureSetpoint
+  // C: degrees of temperatureSetpoint - 12
+  // D: powerOn
+  status.powerOn = (data[1] & 0x01) === 0x01;
+  status.temperatureSetpoint = ((data[1] & 0x3E) >> 1) + 12 + ((data[1] & 0x40) >> 6) * 0.5;
+
+  // Byte 2
+  // AAA-----
+  // A: mode
+  status.mode = (data[2] & 0xE0) >> 5;
+
+  // Byte 3
+  // ABBBBBBB
+  // A: -
+  // B: fanSpeed 0 - 100%, 101: Fixed, 102: Auto
+  status.fanSpeed = data[3] & 0x7F;
+
+  // Byte 7
+  // AAAABBCC
+  // A: -
+  // B: updownFan
+  // C: leftrightFan
+  status.leftrightFan = (data[7] & 0x03) === 0x03;
+  status.updownFan = (data[7] & 0x0C) === 0x0C;
+
+  // Byte 8
+  // --A-----
+  // A: turboMode
+  status.turboMode = (data[8] & 0x20) === 0x20;
+
+  // Byte 9
+  // -A-----B
+  // A: naturalFan
+  // B: smartEye
+  status.naturalFan = (data[9] & 0x40) === 0x40;
+  status.smartEye = (data[9] & 0x01) === 0x01;
+
+  // Byte 10
+  // A--BCD--
+  // A: temperatureUnit
+  // B: ecoMode
+  // C: ptcHeater
+  // D: dryClean
+  status.temperatureUnit = (data[10] & 0x80) >> 7;
+  status.ecoMode = (data[10] & 0x10) === 0x10;
+  status.ptcHeater = (data[10] & 0x08) === 0x08;
+  status.dryClean = (data[10] & 0x04) === 0x04;
+
+  // Correct temperature when unit is set to Fahrenheit
+  if (status.temperatureUnit) {
+    status.temperatureSetpoint = Math.round(status.temperatureSetpoint * 1.8 + 32);
+  }
+
+  return status;
+};
@@ -0,0 +1,63 @@
+'use strict';
+
+const logger = require('winston');
+
+// Add a transport as fall back when no parent logger has been initialized
+// to prevent the error: "Attempt to write logs with no transports"
+logger.add(new logger.transports.Console({
+  level: 'none'
+}));
+
+// Sensor notification, sent periodically by the unit with the measured temperatures
+exports.parser = (data) => {
+  const status = {};
+
+  logger.debug(`A1.parser: Entering with ${data.toString('hex')} - ${data.length}`);
+
+  if (data.length < 18) {
+    logger.error(`A1.parser: Invalid data length (${data.length})`);
+    return status;
+  }
+
+  // Byte 18 (optional)
+  // AAAABBBB
+  // A: outdoorTemperatureDecimal
+  // B: indoorTemperatureDecimal
+  const indoorTemperatureDecimal = data.length > 18 ? data[18] & 0x0F : 0;
+  const outdoorTemperatureDecimal = data.length > 18 ? (data[18] & 0xF0) >> 4 : 0;
+
+  // Byte 13
+  // AAAAAAAA
+  // A: indoorTemperature (0xFF: not available)
+  if (data[13] !== 0xFF) {
+    status.indoorTemperature = (data[13] - 50) / 2;
+
+    if (status.indoorTemperature > 0) {
+      status.indoorTemperature += (indoorTemperatureDecimal / 10);
+    } else {
+      status.indoorTemperature -= (indoorTemperatureDecimal / 10);
+    }
+  }
+
+  // Byte 14
+  // AAAAAAAA
+  // A: outdoorTemperature (0xFF: not available)
+  if (data[14] !== 0xFF) {
+    status.outdoorTemperature = (data[14] - 50) / 2;
+
+    if (status.outdoorTemperature > 0) {
+      status.outdoorTemperature += (outdoorTemperatureDecimal / 10);
+    } else {
+      status.outdoorTemperature -= (outdoorTemperatureDecimal / 10);
+    }
+  }
+
+  // Byte 17
+  // AAAAAAAA
+  // A: indoorHumidity (0: not available)
+  if (data[17] !== 0) {
+    status.indoorHumidity = data[17];
+  }
+
+  return status;
+};
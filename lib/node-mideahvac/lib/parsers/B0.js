@@ -0,0 +1,4 @@
+'use strict';
+
+// The response to the set properties command reports the properties like the query (0xB1)
+exports.parser = require('./B1').parser;
@@ -0,0 +1,102 @@
+'use strict';
+
+const logger = require('winston');
+
+const toBoolean = value => value[0] !== 0;
+const toNumber = value => value[0];
+const fromBoolean = value => [value ? 0x01 : 0x00];
+const fromNumber = value => [value & 0xFF];
+
+const BOOLEAN = { decode: toBoolean, encode: fromBoolean };
+const NUMBER = { decode: toNumber, encode: fromNumber };
+
+// Properties of the property messages (0xB0 set, 0xB1 query) by property id
+const PROPERTIES = new Map([
+  [0x0009, { name: 'updownFanAngle', ...NUMBER }],
+  [0x000A, { name: 'leftrightFanAngle', ...NUMBER }],
+  [0x0015, { name: 'indoorHumidity', ...NUMBER }],
+  [0x0018, { name: 'silkyCool', ...BOOLEAN }],
+  [0x0032, { name: 'windOnMe', ...BOOLEAN }],
+  [0x0033, { name: 'windOffMe', ...BOOLEAN }],
+  [0x0039, { name: 'selfClean', ...BOOLEAN }],
+  [0x003D, { name: 'upNoWindFeel', ...BOOLEAN }],
+  [0x003E, { name: 'downNoWindFeel', ...BOOLEAN }],
+  [0x0042, { name: 'oneKeyNoWindOnMe', ...BOOLEAN }],
+  [0x0043, { name: 'breeze', ...NUMBER }],
+  [0x022C, { name: 'buzzer', ...BOOLEAN }]
+]);
+
+// Add a property or replace the coding of a known property, decode receives the value bytes and
+// encode returns the value bytes of the set properties command (0xB0)
+exports.register = (id, name, decode = toNumber, encode = fromNumber) => {
+  if (!Number.isInteger(id) || id < 0 || id > 0xFFFF) {
+    throw new Error(`Invalid property id '${id}'`);
+  }
+
+  if (typeof decode !== 'function' || typeof encode !== 'function') {
+    throw new Error('The decoder and encoder of a property must be functions');
+  }
+
+  PROPERTIES.set(id, { name, decode, encode });
+};
+
+// Encode the properties given by name as entries of the set properties command (0xB0):
+// id (2 bytes, low byte first), length of the value, value
+exports.encode = (values) => {
+  const entries = [];
+
+  for (const name in values) {
+    const id = [...PROPERTIES.keys()].find(id => PROPERTIES.get(id).name === name);
+
+    if (id === undefined) {
+      throw new Error(`Unknown property '${name}'`);
+    }
+
+    const value = PROPERTIES.get(id).encode(values[name]);
+
+    entries.push(id & 0xFF, id >> 8, value.length, ...value);
+  }
+
+  return entries;
+};
+
+exports.properties = PROPERTIES;
+
+// Byte 1: number of properties
+// Every property is encoded as:
+// - id (2 bytes, low byte first)
+// - result (0x00: ok, otherwise the property is not supported)
+// - length of the value
+// - value
+exports.parser = (data) => {
+  const status = {};
+
+  logger.debug(`B1.parser: Entering with ${data.toString('hex')}`);
+
+  let i = 2;
+  for (let count = data[1]; count > 0 && i + 4 <= data.length; count--) {
+    const id = data[i] | (data[i + 1] << 8);
+    const result = data[i + 2];
+    const value = data.subarray(i + 4, i + 4 + data[i + 3]);
+
+    i += 4 + data[i + 3];
+
+    if (result !== 0x00) {
+      logger.debug(`B1.parser: Property 0x${id.toString(16)} is not supported (result ${result})`);
+      continue;
+    }
+
+    const property = PROPERTIES.get(id);
+
+    if (!property) {
+      logger.debug(`B1.parser: Ignoring unknown property 0x${id.toString(16)} (${value.toString('hex')})`);
+      continue;
+    }
+
+    if (value.length) {
+      status[property.name] = property.decode(value);
+    }
+  }
+
+  return status;
+};
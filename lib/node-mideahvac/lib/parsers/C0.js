@@ -175,12 +175,12 @@ exports.parser = (data) => {
   // A: -
   // B: -
   // C: dustFull (dustFullMark)
-  // D: temperatureSetpoint2
+  // D: temperatureSetpoint2 (whole degrees - 12, the decimal is the one of byte 2)
   status.byte13bit7 = (data[13] & 0x80) >> 7;
   status.byte13bit6 = (data[13] & 0x40) >> 6;
   status.dustFull = (data[13] & 0x20) === 0x20;
   if ((data[13] & 0x1F) > 0) {
-    status.temperatureSetpoint = (data[13] & 0x1F) + 12;
+    status.temperatureSetpoint = (data[13] & 0x1F) + 12 + ((data[2] & 0x10) >> 4) * 0.5;
   }
 
   // Byte 14
@@ -1,6 +1,10 @@
 'use strict';
 
 const logger = require('winston');
+const A0 = require('./A0');
+const A1 = require('./A1');
+const B0 = require('./B0');
+const B1 = require('./B1');
 const B5 = require('./B5.js');
 const C0 = require('./C0');
 const C1 = require('./C1');
@@ -11,21 +15,43 @@ logger.add(new logger.transports.Console({
   level: 'none'
 }));
 
-exports.parse = (data) => {
-  data = data.subarray(10, data.length - 2);
+// Parsers by response type, a parser receives the body of the frame without header, CRC and
+// checksum and returns the decoded properties
+const parsers = new Map([
+  [0xA0, A0.parser],
+  [0xA1, A1.parser],
+  [0xB0, B0.parser],
+  [0xB1, B1.parser],
+  [0xB5, B5.parser],
+  [0xC0, C0.parser],
+  [0xC1, C1.parser]
+]);
+
+// Add a parser for a response type or replace a built-in parser
+exports.register = (type, parser) => {
+  if (!Number.isInteger(type) || type < 0 || type > 0xFF) {
+    throw new Error(`Invalid response type '${type}'`);
+  }
 
-  switch (data[0]) {
-    case 0xB5:
-      return B5.parser(data);
+  if (typeof parser !== 'function') {
+    throw new Error('A parser must be a function');
+  }
 
-    case 0xC0:
-      return C0.parser(data);
+  parsers.set(type, parser);
+};
 
-    case 0xC1:
-      return C1.parser(data);
+// Add a property of the property messages (0xB0/0xB1) or replace the decoding of a known property
+exports.registerProperty = B1.register;
 
-    default:
-      logger.error(`Parsers: Unsupported response type: ${data[0].toString(16)}`);
-      return {};
+exports.isSupported = (type) => parsers.has(type);
+
+exports.parse = (data) => {
+  data = data.subarray(10, data.length - 2);
+
+  if (!parsers.has(data[0])) {
+    logger.error(`Parsers: Unsupported response type: ${data[0].toString(16)}`);
+    return {};
   }
+
+  return parsers.get(data[0])(data);
 };
@@ -0,0 +1,254 @@
+'use strict';
+
+const fs = require('fs');
+const logger = require('winston');
+
+const AC = require('./ac');
+const errors = require('./errors');
+
+// Frames sent by the unit on its own initiative that update the status
+const NOTIFICATION_TYPES = [0xA0, 0xA1, 0xB0, 0xB1, 0xC0, 0xC1];
+
+// Commands of the same type are told apart by the bytes that select the requested data
+function commandType (frame) {
+  const body = frame.subarray(10);
+
+  switch (body[0]) {
+    case 0x41:
+      // 0x81 status (function 0x06 follow-me temperature), 0x21 power usage
+      return body[1] === 0x81 && body[4] === 0x06 ? '418106' : `41${body.subarray(1, 2).toString('hex')}`;
+
+    case 0xB5:
+      // 0x11 first page of capabilities, 0x01 followed by the index of the next page
+      return body[2] === 0x11 ? 'b5' : `b5${body.subarray(3, 4).toString('hex')}`;
+
+    default:
+      return `${frame.subarray(9, 10).toString('hex')}-${body.subarray(0, 1).toString('hex')}`;
+  }
+}
+
+// Replays a session recorded by a protocol capture (JSON lines with direction, label and hex of
+// every frame) to reproduce an issue offline with the exact bytes of the unit. A command is
+// answered with the recorded response of the same command type in the recorded sequence, a
+// command that was not answered in the recording times out. When the recorded responses of a
+// command type are used up, the last one is repeated. Frames the unit sent on its own initiative
+// are replayed after the response that preceded them in the recording.
+module.exports = class extends AC {
+  constructor (options = {}) {
+    super();
+
+    if (!options.file && !options.records) {
+      throw new Error('Cannot create replay, no recording specified');
+    }
+
+    this._closed = false;
+    this._responding = false;
+    this._consecutiveTimeouts = 0;
+
+    // Recorded responses (null for unanswered commands) per command type
+    this._slots = new Map();
+    this._positions = new Map();
+
+    // Frames sent by the unit before the first command
+    this._notifications = [];
+
+    this._load(options.records || this._read(options.file), options.unit);
+  }
+
+  _read (file) {
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .map((line, index) => {
+        if (!line.trim()) {
+          return null;
+        }
+
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(`Invalid recording in line ${index + 1} of ${file} (${error.message})`);
+        }
+      })
+      .filter(record => record);
+  }
+
+  _load (records, unit) {
+    const self = this;
+    let slot = null;
+
+    // A capture of several units is replayed for the first unit unless a unit is specified
+    if (unit === undefined && records.length) {
+      unit = records[0].unit;
+    }
+
+    records
+      .filter(record => record.unit === unit && record.hex)
+      .forEach(record => {
+        const frame = Buffer.from(record.hex, 'hex');
+
+        if (record.direction === 'tx') {
+          const type = commandType(frame);
+
+          slot = {
+            response: null,
+            notifications: []
+          };
+
+          if (!self._slots.has(type)) {
+            self._slots.set(type, []);
+          }
+
+          self._slots.get(type).push(slot);
+        } else if (record.label && slot && !slot.response) {
+          slot.response = frame;
+        } else {
+          (slot ? slot.notifications : self._notifications).push(frame);
+        }
+      });
+
+    logger.debug(`Replay._load: Loaded responses for ${self._slots.size} command types of unit '${unit}'`);
+  }
+
+  _nextSlot (type) {
+    const self = this;
+    const slots = self._slots.get(type);
+
+    if (!slots) {
+      return null;
+    }
+
+    const position = self._positions.get(type) || 0;
+
+    if (position < slots.length) {
+      self._positions.set(type, position + 1);
+
+      return slots[position];
+    }
+
+    const answered = slots.filter(slot => slot.response);
+
+    return answered.length ? { response: answered[answered.length - 1].response, notifications: [] } : slots[slots.length - 1];
+  }
+
+  _replayNotifications (frames) {
+    const self = this;
+
+    frames.forEach(frame => {
+      self.emit('frame-received', frame, null);
+      self.emit('unsolicited-frame', frame);
+
+      if (NOTIFICATION_TYPES.includes(frame[10])) {
+        self._processNotification(frame);
+      }
+    });
+  }
+
+  // The options (e.g. coalescing of setStatus commands) of the serialbridge are not supported
+  _request (cmd, label = 'unknown', retry = 0, options = {}) {
+    const self = this;
+
+    logger.debug(`Replay._request: Entering with ${label}=${cmd.toString('hex')}`);
+
+    return new Promise((resolve, reject) => {
+      if (self._closed) {
+        return reject(new Error('Connection closed'));
+      }
+
+      const type = commandType(cmd);
+      let retries = Number(retry) || 0;
+      let slot;
+
+      // Retries of an unanswered command have been recorded as well
+      do {
+        self.emit('frame-sent', cmd, label);
+
+        slot = self._nextSlot(type);
+      } while (slot && !slot.response && retries-- > 0);
+
+      setImmediate(() => {
+        if (self._closed) {
+          return reject(new Error('Connection closed'));
+        }
+
+        if (!slot || !slot.response) {
+          logger.debug(`Replay._request: No recorded response for '${label}' (${type})`);
+
+          self._linkHealth(false);
+
+          reject(new errors.TimeoutError('No response received'));
+        } else {
+          self.emit('frame-received', slot.response, label);
+
+          self._linkHealth(true);
+
+          resolve(slot.response);
+        }
+
+        if (slot) {
+          self._replayNotifications(slot.notifications);
+        }
+      });
+    });
+  }
+
+  // connected: always true, there is no connection
+  // responding: the last command has been answered in the recording
+  get linkHealth () {
+    return {
+      connected: !this._closed,
+      responding: this._responding,
+      consecutiveTimeouts: this._consecutiveTimeouts
+    };
+  }
+
+  _linkHealth (responding) {
+    const self = this;
+
+    if (responding) {
+      self._consecutiveTimeouts = 0;
+    } else {
+      self._consecutiveTimeouts++;
+    }
+
+    self._responding = responding;
+
+    self.emit('link-health', self.linkHealth);
+  }
+
+  // Stop replaying, all further commands are rejected
+  disconnect () {
+    this._closed = true;
+  }
+
+  async initialize () {
+    const self = this;
+    let status = {};
+    let capabilities = {};
+
+    logger.debug('Replay.initialize: Entering');
+
+    self._replayNotifications(self._notifications.splice(0));
+
+    capabilities = await self.getCapabilities()
+      .catch(error => {
+        logger.error(`Replay.initialize: Failed to get capabilities - ${error.message}`);
+      });
+
+    status = await self.getStatus()
+      .catch(error => {
+        logger.error(`Replay.initialize: Failed to get current status - ${error.message}`);
+
+        throw error;
+      });
+
+    self.emit('initialized', {
+      status,
+      capabilities
+    });
+
+    return {
+      status,
+      capabilities
+    };
+  }
+};
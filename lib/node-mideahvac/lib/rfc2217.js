@@ -0,0 +1,308 @@
+'use strict';
+
+const EventEmitter = require('events').EventEmitter;
+const logger = require('winston');
+
+// Add a transport as fall back when no parent logger has been initialized
+// to prevent the error: "Attempt to write logs with no transports"
+logger.add(new logger.transports.Console({
+  level: 'none'
+}));
+
+// Telnet commands (RFC 854)
+const SE = 0xF0;
+const SB = 0xFA;
+const WILL = 0xFB;
+const WONT = 0xFC;
+const DO = 0xFD;
+const DONT = 0xFE;
+const IAC = 0xFF;
+
+// Telnet options, all other options are refused
+const OPTION_BINARY = 0x00;
+const OPTION_SUPPRESS_GO_AHEAD = 0x03;
+const OPTION_COM_PORT = 0x2C;
+
+const SUPPORTED_OPTIONS = [OPTION_BINARY, OPTION_SUPPRESS_GO_AHEAD, OPTION_COM_PORT];
+
+// COM-PORT-OPTION commands (RFC 2217), the server answers with the command + 100
+const SET_BAUDRATE = 1;
+const SET_DATASIZE = 2;
+const SET_PARITY = 3;
+const SET_STOPSIZE = 4;
+const SERVER_OFFSET = 100;
+
+const PARITIES = { none: 1, odd: 2, even: 3, mark: 4, space: 5 };
+const STOP_BITS = { 1: 1, 2: 2, 1.5: 3 };
+
+// Decoder states
+const STATE_DATA = 0;
+const STATE_IAC = 1;
+const STATE_OPTION = 2;
+const STATE_SB = 3;
+const STATE_SB_IAC = 4;
+
+// Telnet layer with the COM port control option (RFC 2217) for TCP serial bridges in telnet mode
+// (e.g. ser2net or ESP-Link). Strips the telnet control sequences from the received data, escapes
+// the data to be sent and configures the serial port of the bridge.
+// Events:
+// - send: negotiation data that must be written to the connection as is
+// - com-port: the bridge confirmed a serial port setting (setting, value)
+module.exports = class extends EventEmitter {
+  constructor (options = {}) {
+    super();
+
+    this.baudRate = options.baudRate || 9600;
+    this.dataBits = options.dataBits || 8;
+    this.parity = options.parity || 'none';
+    this.stopBits = Number(options.stopBits) || 1;
+
+    if (PARITIES[this.parity] === undefined) {
+      throw new Error(`Invalid parity '${this.parity}'`);
+    }
+
+    if (STOP_BITS[this.stopBits] === undefined) {
+      throw new Error(`Invalid number of stop bits '${this.stopBits}'`);
+    }
+
+    this.reset();
+  }
+
+  // Forget the negotiated options and a partially received control sequence
+  reset () {
+    this._state = STATE_DATA;
+    this._command = null;
+    this._subnegotiation = [];
+
+    // Options enabled on our side (WILL) and on the side of the bridge (DO)
+    this._local = new Set();
+    this._remote = new Set();
+  }
+
+  // Request binary transmission and COM port control, the serial port is configured once the
+  // bridge agrees to the COM port control option
+  start () {
+    const self = this;
+
+    logger.debug('RFC2217.start: Negotiating options');
+
+    self._local.add(OPTION_BINARY);
+    self._local.add(OPTION_SUPPRESS_GO_AHEAD);
+    self._local.add(OPTION_COM_PORT);
+    self._remote.add(OPTION_BINARY);
+    self._remote.add(OPTION_SUPPRESS_GO_AHEAD);
+
+    self._send([
+      IAC, WILL, OPTION_BINARY,
+      IAC, DO, OPTION_BINARY,
+      IAC, WILL, OPTION_SUPPRESS_GO_AHEAD,
+      IAC, DO, OPTION_SUPPRESS_GO_AHEAD,
+      IAC, WILL, OPTION_COM_PORT
+    ]);
+  }
+
+  // Escape IAC bytes in the data to be sent
+  encode (data) {
+    if (!data.includes(IAC)) {
+      return data;
+    }
+
+    const encoded = [];
+
+    data.forEach(b => {
+      encoded.push(b);
+
+      if (b === IAC) {
+        encoded.push(IAC);
+      }
+    });
+
+    return Buffer.from(encoded);
+  }
+
+  // Return the received data without the telnet control sequences, a sequence can be split over
+  // several chunks
+  decode (data) {
+    const self = this;
+    const decoded = [];
+
+    data.forEach(b => {
+      switch (self._state) {
+        case STATE_DATA:
+          if (b === IAC) {
+            self._state = STATE_IAC;
+          } else {
+            decoded.push(b);
+          }
+          break;
+
+        case STATE_IAC:
+          if (b === IAC) {
+            // Escaped data byte
+            decoded.push(b);
+            self._state = STATE_DATA;
+          } else if (b === WILL || b === WONT || b === DO || b === DONT) {
+            self._command = b;
+            self._state = STATE_OPTION;
+          } else if (b === SB) {
+            self._subnegotiation = [];
+            self._state = STATE_SB;
+          } else {
+            // Other commands (e.g. NOP, GA) are ignored
+            self._state = STATE_DATA;
+          }
+          break;
+
+        case STATE_OPTION:
+          self._negotiate(self._command, b);
+          self._state = STATE_DATA;
+          break;
+
+        case STATE_SB:
+          if (b === IAC) {
+            self._state = STATE_SB_IAC;
+          } else {
+            self._subnegotiation.push(b);
+          }
+          break;
+
+        case STATE_SB_IAC:
+          if (b === SE) {
+            self._subnegotiationHandler(Buffer.from(self._subnegotiation));
+            self._state = STATE_DATA;
+          } else {
+            // IAC IAC is an escaped byte, anything else is not expected and added as is
+            self._subnegotiation.push(b);
+            self._state = STATE_SB;
+          }
+          break;
+      }
+    });
+
+    return Buffer.from(decoded);
+  }
+
+  // Answer the option requests of the bridge, a request that confirms the current state is not
+  // answered to prevent negotiation loops
+  _negotiate (command, option) {
+    const self = this;
+
+    logger.debug(`RFC2217._negotiate: Received ${command.toString(16)} for option ${option}`);
+
+    switch (command) {
+      case DO:
+        if (!SUPPORTED_OPTIONS.includes(option)) {
+          return self._send([IAC, WONT, option]);
+        }
+
+        if (!self._local.has(option)) {
+          self._local.add(option);
+          self._send([IAC, WILL, option]);
+        }
+
+        if (option === OPTION_COM_PORT) {
+          self._configure();
+        }
+        break;
+
+      case DONT:
+        if (self._local.delete(option)) {
+          self._send([IAC, WONT, option]);
+        }
+
+        if (option === OPTION_COM_PORT) {
+          logger.warn('RFC2217._negotiate: The bridge does not support COM port control, the serial port settings of the bridge are used');
+        }
+        break;
+
+      case WILL:
+        // COM port control is only used by the client
+        if (option === OPTION_COM_PORT || !SUPPORTED_OPTIONS.includes(option)) {
+          return self._send([IAC, DONT, option]);
+        }
+
+        if (!self._remote.has(option)) {
+          self._remote.add(option);
+          self._send([IAC, DO, option]);
+        }
+        break;
+
+      case WONT:
+        if (self._remote.delete(option)) {
+          self._send([IAC, DONT, option]);
+        }
+        break;
+    }
+  }
+
+  // Set the baud rate, data size, parity and stop bits of the serial port of the bridge
+  _configure () {
+    const self = this;
+    const baudRate = Buffer.alloc(4);
+
+    baudRate.writeUInt32BE(self.baudRate);
+
+    logger.debug(`RFC2217._configure: Setting ${self.baudRate} baud, ${self.dataBits} data bits, parity ${self.parity}, ${self.stopBits} stop bit(s)`);
+
+    self._subnegotiate(SET_BAUDRATE, baudRate);
+    self._subnegotiate(SET_DATASIZE, Buffer.from([self.dataBits]));
+    self._subnegotiate(SET_PARITY, Buffer.from([PARITIES[self.parity]]));
+    self._subnegotiate(SET_STOPSIZE, Buffer.from([STOP_BITS[self.stopBits]]));
+  }
+
+  _subnegotiate (command, value) {
+    this._send(Buffer.concat([
+      Buffer.from([IAC, SB, OPTION_COM_PORT, command]),
+      this.encode(value),
+      Buffer.from([IAC, SE])
+    ]));
+  }
+
+  _subnegotiationHandler (data) {
+    const self = this;
+
+    if (data[0] !== OPTION_COM_PORT || data.length < 2) {
+      return logger.debug(`RFC2217._subnegotiationHandler: Ignoring subnegotiation ${data.toString('hex')}`);
+    }
+
+    const value = data.subarray(2);
+
+    switch (data[1]) {
+      case SERVER_OFFSET + SET_BAUDRATE:
+        if (value.length === 4) {
+          self._confirm('baudRate', value.readUInt32BE(0), self.baudRate);
+        }
+        break;
+
+      case SERVER_OFFSET + SET_DATASIZE:
+        self._confirm('dataBits', value[0], self.dataBits);
+        break;
+
+      case SERVER_OFFSET + SET_PARITY:
+        self._confirm('parity', Object.keys(PARITIES).find(parity => PARITIES[parity] === value[0]), self.parity);
+        break;
+
+      case SERVER_OFFSET + SET_STOPSIZE:
+        self._confirm('stopBits', Number(Object.keys(STOP_BITS).find(stopBits => STOP_BITS[stopBits] === value[0])), self.stopBits);
+        break;
+
+      default:
+        // Line and modem state notifications are not used
+        logger.silly(`RFC2217._subnegotiationHandler: Ignoring COM port command ${data[1]}`);
+    }
+  }
+
+  _confirm (setting, value, requested) {
+    if (value !== requested) {
+      logger.warn(`RFC2217._confirm: The bridge uses ${setting} ${value} instead of ${requested}`);
+    } else {
+      logger.debug(`RFC2217._confirm: The bridge confirmed ${setting} ${value}`);
+    }
+
+    this.emit('com-port', setting, value);
+  }
+
+  _send (data) {
+    this.emit('send', Buffer.from(data));
+  }
+};
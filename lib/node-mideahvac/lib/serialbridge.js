@@ -3,10 +3,84 @@
 
 const logger = require('winston');
 const net = require('net');
+const tls = require('tls');
 
 const AC = require('./ac');
-const { createCommand } = require('./ac_common');
+const { createCommand, setMessageId } = require('./ac_common');
 const errors = require('./errors');
+const Framer = require('./framer');
+const Rfc2217 = require('./rfc2217');
+
+// Time to wait for the connection to be established
+const CONNECT_TIMEOUT = 10000;
+
+// Consecutive unanswered commands after which the serial link to the unit is considered down
+const LINK_DOWN_TIMEOUTS = 2;
+
+// Minimum time between two warnings about discarded data, the data in between is logged as debug
+const INVALID_FRAME_WARNING_INTERVAL = 60000;
+
+// Frame statistics are passed on at most once per interval and only when they have changed
+const FRAME_STATISTICS_INTERVAL = 10000;
+
+// Priorities of queued commands, commands with a lower value are sent first
+const PRIORITY_HIGH = 0;
+const PRIORITY_NORMAL = 1;
+const PRIORITY_LOW = 2;
+
+const COMMAND_PRIORITIES = {
+  setStatus: PRIORITY_HIGH,
+  setProperties: PRIORITY_HIGH,
+  toggleDisplay: PRIORITY_HIGH,
+  replyNetworkStatus: PRIORITY_HIGH,
+  followMe: PRIORITY_LOW,
+  getCapabilities: PRIORITY_LOW,
+  getPowerUsage: PRIORITY_LOW,
+  getProperties: PRIORITY_LOW,
+  getStatus: PRIORITY_LOW
+};
+
+// Background polls, an identical poll is not queued twice
+const POLL_LABELS = ['followMe', 'getCapabilities', 'getPowerUsage', 'getProperties', 'getStatus', 'sendNetworkStatusNotification'];
+
+// Body types of the notifications the unit sends on its own initiative
+const NOTIFICATION_TYPES = [0xA0, 0xA1];
+
+// Consecutive responses that must return the message id of their command before responses are
+// matched by message id, a single match can be a coincidence of an unrelated byte
+const MESSAGE_ID_MATCHES = 3;
+
+// Message type of the network status request of the unit
+const MSGTYPE_QUERY_NETWORK = 0x63;
+
+// Body type of the response to the query (0x03) and set (0x02) commands per body type of the
+// command, the query 0x41 0x21 is answered with the power usage (0xC1)
+const RESPONSE_TYPES = {
+  0x40: 0xC0,
+  0x41: 0xC0,
+  0xB0: 0xB0,
+  0xB1: 0xB1,
+  0xB5: 0xB5
+};
+
+// Check whether the frame answers the command. The message id is only compared for units that
+// are known to return it, other message types (e.g. 0x07 electronic id, 0x0D network status) are
+// answered with the same message type and the response to an unknown command can not be checked.
+function isResponse (cmd, frame, checkMessageId) {
+  if (checkMessageId && frame[6] !== cmd[6]) {
+    return false;
+  }
+
+  if (cmd[9] !== 0x02 && cmd[9] !== 0x03) {
+    return frame[9] === cmd[9];
+  }
+
+  if (cmd[10] === 0x41 && cmd[11] === 0x21) {
+    return frame[10] === 0xC1;
+  }
+
+  return RESPONSE_TYPES[cmd[10]] === undefined || frame[10] === RESPONSE_TYPES[cmd[10]];
+}
 
 // Add a transport as fall back when no parent logger has been initialized
 // to prevent the error: "Attempt to write logs with no transports"
@@ -18,46 +92,160 @@ module.exports = class extends AC {
   constructor (options = {}) {
     super();
 
-    if (!options.host || !options.port) {
-      throw new Error('Cannot create serialbridge connection, no host and/or port specified');
-    }
+    // Telnet layer, only used for bridges in telnet mode
+    this._telnet = null;
 
-    this.host = options.host;
-    this.port = options.port || 23;
+    // TLS options, only used for bridges behind a TLS endpoint
+    this._tls = null;
+
+    this._initializeTransport(options);
 
-    this.id = `${options.host}:${options.port}`;
     this._connected = false;
+    this._connecting = null;
+    this._closed = false;
+
+    this._reconnectInterval = options.reconnectInterval || 1000;
+    this._maxReconnectInterval = Math.max(options.maxReconnectInterval || 300000, this._reconnectInterval);
+    this._reconnectAttempts = 0;
+    this._reconnectTimer = null;
+    this._lastError = null;
+
+    // Link health, the TCP connection to the bridge and the serial link to the unit are tracked separately
+    this._responding = false;
+    this._consecutiveTimeouts = 0;
+    this._watchdogTimeouts = options.watchdogTimeouts !== undefined ? options.watchdogTimeouts : 5;
 
     this._connection = null;
 
-    this._rcvBuf = [];
-    this._nextIsLength = false;
-    this._stillToReceive = 0;
+    this._framer = new Framer();
+    this._framer.on('frame', this._frameHandler.bind(this));
+    this._framer.on('invalid-frame', this._invalidFrameHandler.bind(this));
+    this._frameStatisticsTimer = null;
+    this._invalidFrameWarning = 0;
+    this._invalidFramesSuppressed = 0;
 
     this._cmdTimer = null;
     this._cmdInProgress = false;
     this._cmdQueue = [];
+    this._frameMessageId = 0;
+    this._echoesMessageId = false;
+    this._messageIdMatches = 0;
+    this._maxQueueDepth = options.maxQueueDepth || 16;
+    this._queueDropPolicy = options.queueDropPolicy || 'rejectNew';
 
     this.logger = logger.child({ label: `deviceId=${this.id}` });
   }
 
+  // Validate the transport specific options and set the id of the appliance
+  _initializeTransport (options) {
+    if (!options.host || !options.port) {
+      throw new Error('Cannot create serialbridge connection, no host and/or port specified');
+    }
+
+    this.host = options.host;
+    this.port = options.port || 23;
+
+    this.id = `${options.host}:${options.port}`;
+
+    // Bridges behind a TLS endpoint (e.g. stunnel or ser2net with TLS), without a CA the
+    // certificate of the bridge is verified against the default root certificates
+    if (options.tls) {
+      const tlsOptions = typeof options.tls === 'object' ? options.tls : {};
+
+      this._tls = {
+        ca: tlsOptions.ca || undefined,
+        cert: tlsOptions.cert || undefined,
+        key: tlsOptions.key || undefined,
+        verifyServerName: tlsOptions.verifyServerName !== false
+      };
+
+      if (!!this._tls.cert !== !!this._tls.key) {
+        throw new Error('Cannot create serialbridge connection, the client certificate and key must be specified together');
+      }
+    }
+
+    // Bridges in telnet mode (e.g. ser2net or ESP-Link) need the telnet layer, the serial port
+    // of the bridge is configured with COM port control (RFC 2217)
+    if (options.rfc2217) {
+      this._telnet = new Rfc2217({
+        baudRate: options.baudRate,
+        parity: options.parity,
+        stopBits: options.stopBits
+      });
+
+      this._telnet.on('send', data => {
+        if (this._connection) {
+          this._connection.write(data);
+        }
+      });
+    }
+  }
+
+  // Open the stream to the appliance, the stream must emit 'connect' (or 'secureConnect' for TLS) when it is established
+  _createConnection () {
+    if (this._tls) {
+      return tls.connect({
+        host: this.host,
+        port: this.port,
+        ca: this._tls.ca,
+        cert: this._tls.cert,
+        key: this._tls.key,
+        // The certificate chain is always verified, only the check of the host name can be disabled
+        checkServerIdentity: this._tls.verifyServerName ? tls.checkServerIdentity : () => undefined
+      });
+    }
+
+    return net.createConnection(this.port, this.host);
+  }
+
   _connect () {
     const self = this;
 
+    // Share a connection attempt that is already in progress
+    if (self._connecting) {
+      return self._connecting;
+    }
+
     logger.debug('SerialBridge: Connecting');
 
-    return new Promise((resolve, reject) => {
-      self._connection = net.createConnection(self.port, self.host);
+    // The unit behind a new connection may not return the message id
+    self._resetMessageIdMatching();
+
+    self._connecting = new Promise((resolve, reject) => {
+      let connecting = true;
+
+      self._connection = self._createConnection();
+
+      const connection = self._connection;
+
+      // Abort when the connection cannot be established in time
+      const timer = setTimeout(() => {
+        connection.destroy(new errors.TimeoutError('Failed to connect (timeout)'));
+      }, CONNECT_TIMEOUT);
+
+      // A TLS connection is established once the handshake has completed
+      connection.on(self._tls ? 'secureConnect' : 'connect', () => {
+        clearTimeout(timer);
+
+        connecting = false;
+        self._connecting = null;
 
-      self._connection.on('connect', () => {
         // Set connection flag
         self._connected = true;
 
+        self._lastError = null;
+
+        if (self._telnet) {
+          self._telnet.reset();
+          self._telnet.start();
+        }
+
         // Emit connected event
         self.emit('connected');
+        self.emit('link-health', self.linkHealth);
 
         // Send the network notification message each 2 minutes (use unref to prevent this is keeping the process alive and stalls the unit test)
-        clearTimeout(self.networkUpdateTimer);
+        clearInterval(self.networkUpdateTimer);
         self.networkUpdateTimer = setInterval(self => {
           self.sendNetworkStatusNotification()
             .catch(error => {
@@ -68,57 +256,332 @@ module.exports = class extends AC {
         resolve();
       });
 
-      // Process received data
-      self._connection.on('data', function (data) {
+      // Process received data, the framer reassembles and validates the frames
+      connection.on('data', function (data) {
         logger.debug(`SerialBridge.connect: Received data: ${data.toString('hex')}`);
 
-        if (data[0] === 0xAA) {
-          // TODO: Add check for length, CRC8 and checksum
+        if (self._telnet) {
+          data = self._telnet.decode(data);
+        }
 
-          // When command is in progress, call the response handler for this command
-          if (self._cmdInProgress) {
-            logger.silly(`SerialBridge.connect: Calling handler for the command '${self._cmdQueue[0].label}' in progress`);
+        self._framer.push(data);
+      });
 
-            self._cmdQueue[0].handler(null, data);
+      // Handler for connection end
+      connection.on('close', function () {
+        const wasConnected = self._connected;
 
-            // Disable timeout timer
-            clearTimeout(self._cmdTimer);
+        clearTimeout(timer);
+        clearInterval(self.networkUpdateTimer);
 
-            self._cmdInProgress = false;
+        // Reset connection flag
+        self._connected = false;
 
-            // Remove previous command from queue
-            self._cmdQueue.shift();
+        // Drop a partially received frame
+        self._framer.reset();
 
-            self._processQueue();
-          } else {
-            logger.error('SerialBridge.connect: Received data while no command was in progress');
-          }
-        }
-      });
+        // Fail the pending commands, they can not be answered on a closed connection
+        self._rejectQueue(new Error(`Connection closed (${self._lastError || 'closed by bridge'})`));
 
-      // Handler for connection end
-      self._connection.on('close', function () {
-        // Reset connection flag
-        self._connected = false;
+        self._responding = false;
+        self._consecutiveTimeouts = 0;
+
+        if (connecting) {
+          connecting = false;
+          self._connecting = null;
+
+          reject(new Error(self._lastError || 'Connection closed'));
+        }
 
         // Emit disconnected event
-        self.emit('disconnected');
+        if (wasConnected) {
+          self.emit('disconnected');
+          self.emit('link-health', self.linkHealth);
+        }
 
-        logger.error('SerialBridge: Closed');
+        // Do not reconnect when the connection has been closed on purpose
+        if (self._closed) {
+          return logger.debug('SerialBridge: Closed');
+        }
 
-        // Reconnect logic
-        setTimeout(function () {
-          logger.debug('SerialBridge: Reconnecting');
+        logger.error('SerialBridge: Closed');
 
-          self._connect();
-        }, 1000);
+        self._scheduleReconnect();
       });
 
       // Handler for errors
-      self._connection.on('error', function (err) {
+      connection.on('error', function (err) {
+        self._lastError = err.message;
+
         logger.error(`SerialBridge._connect: ${err.message}`);
       });
     });
+
+    return self._connecting;
+  }
+
+  // Reconnect with an exponential backoff, the delay is chosen randomly between the
+  // reconnect interval and the backoff ceiling to prevent reconnecting in lockstep
+  _scheduleReconnect () {
+    const self = this;
+
+    clearTimeout(self._reconnectTimer);
+
+    const ceiling = Math.min(self._maxReconnectInterval, self._reconnectInterval * Math.pow(2, self._reconnectAttempts));
+    const delay = Math.round(self._reconnectInterval + Math.random() * Math.max(0, ceiling - self._reconnectInterval));
+
+    self._reconnectAttempts++;
+
+    logger.debug(`SerialBridge._scheduleReconnect: Reconnect attempt ${self._reconnectAttempts} in ${delay}ms`);
+
+    self.emit('reconnect-scheduled', {
+      attempt: self._reconnectAttempts,
+      delay,
+      nextAttempt: Date.now() + delay,
+      reason: self._lastError || 'Connection closed'
+    });
+
+    self._reconnectTimer = setTimeout(() => {
+      self._reconnectTimer = null;
+
+      logger.debug('SerialBridge: Reconnecting');
+
+      self._connect()
+        .catch(error => {
+          logger.debug(`SerialBridge._scheduleReconnect: Reconnect failed (${error.message})`);
+        });
+    }, delay);
+  }
+
+  // Close the connection without reconnecting, all pending commands are rejected
+  disconnect () {
+    const self = this;
+
+    logger.debug('SerialBridge.disconnect: Entering');
+
+    self._closed = true;
+
+    clearTimeout(self._reconnectTimer);
+    self._reconnectTimer = null;
+
+    clearInterval(self.networkUpdateTimer);
+
+    clearTimeout(self._frameStatisticsTimer);
+    self._frameStatisticsTimer = null;
+
+    self._resetMessageIdMatching();
+
+    self._rejectQueue(new Error('Connection closed'));
+
+    if (self._connection) {
+      self._connection.destroy();
+    }
+  }
+
+  _rejectQueue (error) {
+    const self = this;
+
+    clearTimeout(self._cmdTimer);
+
+    const queue = self._cmdQueue;
+
+    self._cmdQueue = [];
+    self._cmdInProgress = false;
+
+    queue.forEach(entry => {
+      entry.handler(error);
+    });
+  }
+
+  get frameStatistics () {
+    return { ...this._framer.statistics };
+  }
+
+  // connected: the TCP connection to the bridge is established
+  // responding: the unit answers on the serial link
+  get linkHealth () {
+    return {
+      connected: this._connected,
+      responding: this._connected && this._responding,
+      consecutiveTimeouts: this._consecutiveTimeouts
+    };
+  }
+
+  // Any valid frame proves the serial link to the unit is working
+  _linkAlive () {
+    const self = this;
+
+    const changed = !self._responding || self._consecutiveTimeouts !== 0;
+
+    self._responding = true;
+    self._consecutiveTimeouts = 0;
+
+    // Only back off from scratch once the unit answers, the watchdog reconnects while the bridge is reachable
+    self._reconnectAttempts = 0;
+
+    if (changed) {
+      self.emit('link-health', self.linkHealth);
+    }
+  }
+
+  _linkTimeout () {
+    const self = this;
+
+    self._consecutiveTimeouts++;
+
+    if (self._consecutiveTimeouts >= LINK_DOWN_TIMEOUTS && self._responding) {
+      self.logger.warn(`SerialBridge._linkTimeout: No response from the unit for ${self._consecutiveTimeouts} commands, serial link is down`);
+
+      self._responding = false;
+    }
+
+    self.emit('link-health', self.linkHealth);
+
+    // The bridge keeps the TCP connection open when the unit is gone, reconnect to recover a stuck bridge
+    if (self._watchdogTimeouts && self._consecutiveTimeouts >= self._watchdogTimeouts && self._connection) {
+      self.logger.error(`SerialBridge._linkTimeout: Watchdog, no response from the unit for ${self._consecutiveTimeouts} commands, reconnecting`);
+
+      self._lastError = `No response from the unit for ${self._consecutiveTimeouts} commands`;
+
+      self._rejectQueue(new errors.TimeoutError('No response received, reconnecting'));
+      self._connection.destroy();
+    }
+  }
+
+  _frameHandler (frame) {
+    const self = this;
+
+    logger.silly(`SerialBridge._frameHandler: Received frame: ${frame.toString('hex')}`);
+
+    self._linkAlive();
+
+    const unsolicited = frame[9] === MSGTYPE_QUERY_NETWORK || NOTIFICATION_TYPES.includes(frame[10]);
+
+    // A response that arrives after its command timed out must not be handed to the next command
+    const response = self._cmdInProgress && !unsolicited && isResponse(self._cmdQueue[0].cmd, frame, self._echoesMessageId);
+
+    if (response && !self._echoesMessageId) {
+      self._countMessageIdMatch(self._cmdQueue[0].cmd, frame);
+    }
+
+    if (self._cmdInProgress && !unsolicited && !response) {
+      logger.debug(`SerialBridge._frameHandler: Received frame does not answer the command '${self._cmdQueue[0].label}' in progress`);
+    }
+
+    // Every frame is passed on with the label of the command it answers, e.g. for a protocol capture
+    self.emit('frame-received', frame, response ? self._cmdQueue[0].label : null);
+
+    // When command is in progress, call the response handler for this command
+    if (response) {
+      logger.silly(`SerialBridge._frameHandler: Calling handler for the command '${self._cmdQueue[0].label}' in progress`);
+
+      self._cmdQueue[0].handler(null, frame);
+
+      // Disable timeout timer
+      clearTimeout(self._cmdTimer);
+
+      self._cmdInProgress = false;
+
+      // Remove previous command from queue
+      self._cmdQueue.shift();
+
+      self._processQueue();
+    } else {
+      // Also passed on as is, e.g. to the clients of a proxy
+      self.emit('unsolicited-frame', frame);
+
+      self._unsolicitedFrameHandler(frame);
+    }
+
+    self._scheduleFrameStatistics();
+  }
+
+  // Match responses by message id once the unit returned the message id of several consecutive
+  // commands, a response with another id restarts counting
+  _countMessageIdMatch (cmd, frame) {
+    const self = this;
+
+    if (!frame[6] || frame[6] !== cmd[6]) {
+      self._messageIdMatches = 0;
+      return;
+    }
+
+    self._messageIdMatches++;
+
+    if (self._messageIdMatches >= MESSAGE_ID_MATCHES) {
+      logger.debug('SerialBridge._countMessageIdMatch: The unit returns the message id, responses are matched by message id');
+
+      self._echoesMessageId = true;
+    }
+  }
+
+  _resetMessageIdMatching () {
+    const self = this;
+
+    self._echoesMessageId = false;
+    self._messageIdMatches = 0;
+  }
+
+  _scheduleFrameStatistics () {
+    const self = this;
+
+    if (self._frameStatisticsTimer) {
+      return;
+    }
+
+    self._frameStatisticsTimer = setTimeout(() => {
+      self._frameStatisticsTimer = null;
+
+      self.emit('frame-statistics', self.frameStatistics);
+    }, FRAME_STATISTICS_INTERVAL).unref(); // A pending batch must not keep the process alive
+  }
+
+  _unsolicitedFrameHandler (frame) {
+    const self = this;
+
+    if (frame[9] === MSGTYPE_QUERY_NETWORK) {
+      logger.debug('SerialBridge._unsolicitedFrameHandler: Network status requested by the unit');
+
+      return self._replyNetworkStatus();
+    }
+
+    switch (frame[10]) {
+      case 0xA0:
+      case 0xA1:
+      case 0xB0:
+      case 0xB1:
+      case 0xC0:
+      case 0xC1:
+        logger.debug(`SerialBridge._unsolicitedFrameHandler: Received notification (0x${frame[10].toString(16)})`);
+
+        self._processNotification(frame);
+        break;
+
+      default:
+        logger.error(`SerialBridge._unsolicitedFrameHandler: Received unsupported frame that does not answer a command in progress (${frame.toString('hex')})`);
+    }
+  }
+
+  _invalidFrameHandler (reason, data) {
+    const self = this;
+
+    // A loose cable produces a lot of garbage, the counters in the frame statistics are complete
+    if (Date.now() - self._invalidFrameWarning < INVALID_FRAME_WARNING_INTERVAL) {
+      self._invalidFramesSuppressed++;
+
+      logger.debug(`SerialBridge._invalidFrameHandler: Discarded invalid data (${reason}): ${data.toString('hex')}`);
+    } else {
+      const suppressed = self._invalidFramesSuppressed
+        ? ` (${self._invalidFramesSuppressed} more discards since the last warning)`
+        : '';
+
+      self.logger.warn(`SerialBridge._invalidFrameHandler: Discarded invalid data (${reason}): ${data.toString('hex')}${suppressed}`);
+
+      self._invalidFrameWarning = Date.now();
+      self._invalidFramesSuppressed = 0;
+    }
+
+    self._scheduleFrameStatistics();
   }
 
   _processQueue () {
@@ -138,7 +601,22 @@ module.exports = class extends AC {
 
     logger.debug(`SerialBridge._processQueue: Sending '${self._cmdQueue[0].label}' command`);
 
-    self._connection.write(self._cmdQueue[0].cmd, error => {
+    // The message id is kept when the command is retried, a late response to the first attempt
+    // answers the retry as well
+    if (self._cmdQueue[0].messageId === undefined) {
+      if (++self._frameMessageId === 256) {
+        self._frameMessageId = 1;
+      }
+
+      self._cmdQueue[0].messageId = self._frameMessageId;
+      self._cmdQueue[0].cmd = setMessageId(self._cmdQueue[0].cmd, self._frameMessageId);
+    }
+
+    self.emit('frame-sent', self._cmdQueue[0].cmd, self._cmdQueue[0].label);
+
+    const cmd = self._telnet ? self._telnet.encode(self._cmdQueue[0].cmd) : self._cmdQueue[0].cmd;
+
+    self._connection.write(cmd, error => {
       if (error) {
         self.logger.error(`SerialBridge._processQueue: Error writing command '${self._cmdQueue[0].label}' (${error.message})`);
 
@@ -164,12 +642,31 @@ module.exports = class extends AC {
         return;
       }
 
+      // Some messages (e.g. the reply to a request of the unit) are not acknowledged
+      if (self._cmdQueue[0].noResponse) {
+        self._cmdQueue[0].handler(null);
+
+        self._cmdInProgress = false;
+
+        // Remove previous command from queue
+        self._cmdQueue.shift();
+
+        return self._processQueue();
+      }
+
       // Start timer to prevent hanging waiting for a response to a command
       self._cmdTimer = setTimeout(self => {
         self.logger.error(`SerialBridge._processQueue: No response received in time for '${self._cmdQueue[0].label}' command`);
 
         self._cmdInProgress = false;
 
+        self._linkTimeout();
+
+        // The watchdog closes the connection and rejects all commands
+        if (!self._cmdQueue.length) {
+          return;
+        }
+
         if (self._cmdQueue[0].retry) {
           self._cmdQueue[0].retry--;
 
@@ -193,37 +690,128 @@ module.exports = class extends AC {
   _queueCommand (options, handler = () => { }) {
     const self = this;
 
-    self._cmdQueue.push({
+    const priority = options.priority !== undefined
+      ? options.priority
+      : (COMMAND_PRIORITIES[options.label] !== undefined ? COMMAND_PRIORITIES[options.label] : PRIORITY_NORMAL);
+
+    // The command in progress can not be changed or overtaken anymore
+    const first = self._cmdInProgress ? 1 : 0;
+    const pending = self._cmdQueue.slice(first);
+
+    // Merge the properties into a pending command of the same kind, all callers get the same response
+    if (options.coalesce) {
+      const entry = pending.find(entry => entry.label === options.label && entry.coalesce);
+
+      if (entry) {
+        const properties = { ...entry.coalesce.properties, ...options.coalesce.properties };
+
+        try {
+          entry.cmd = options.coalesce.build(properties);
+        } catch (error) {
+          return handler(error);
+        }
+
+        // A command waiting for a retry keeps its message id
+        if (entry.messageId !== undefined) {
+          entry.cmd = setMessageId(entry.cmd, entry.messageId);
+        }
+
+        logger.debug(`SerialBridge._queueCommand: Merged '${options.label}' command into pending command (${JSON.stringify(properties)})`);
+
+        entry.coalesce.properties = properties;
+        entry.handler = self._chainHandlers(entry.handler, handler);
+        return;
+      }
+    }
+
+    // Drop a poll when an identical one is still pending, it will be answered by the pending one
+    if (POLL_LABELS.includes(options.label)) {
+      const entry = pending.find(entry => entry.label === options.label && entry.cmd.equals(options.cmd));
+
+      if (entry) {
+        logger.debug(`SerialBridge._queueCommand: Dropped '${options.label}' command, an identical command is pending`);
+
+        entry.handler = self._chainHandlers(entry.handler, handler);
+        return;
+      }
+    }
+
+    if (self._cmdQueue.length >= self._maxQueueDepth) {
+      let index = -1;
+
+      if (self._queueDropPolicy === 'dropOldestPoll') {
+        index = self._cmdQueue.findIndex((entry, i) => i >= first && entry.priority === PRIORITY_LOW && entry.priority >= priority);
+      }
+
+      if (index === -1) {
+        self.logger.debug(`SerialBridge._queueCommand: Maximum queue depth reached, rejecting '${options.label}' command`);
+
+        return handler(new Error('Maximum queue depth reached'));
+      }
+
+      const [dropped] = self._cmdQueue.splice(index, 1);
+
+      self.logger.debug(`SerialBridge._queueCommand: Maximum queue depth reached, dropped '${dropped.label}' command`);
+
+      dropped.handler(new Error('Dropped from queue, maximum queue depth reached'));
+    }
+
+    const entry = {
       cmd: options.cmd,
       label: options.label,
       retry: options.retry,
+      noResponse: options.noResponse,
+      coalesce: options.coalesce ? { ...options.coalesce } : undefined,
+      priority,
       handler
-    });
+    };
+
+    // Insert behind all pending commands with the same or a higher priority
+    let index = self._cmdQueue.findIndex((queued, i) => i >= first && queued.priority > priority);
+
+    if (index === -1) {
+      index = self._cmdQueue.length;
+    }
+
+    self._cmdQueue.splice(index, 0, entry);
 
     self._processQueue();
   }
 
-  _request (cmd, label = 'unknown', retry = 0) {
+  _chainHandlers (first, second) {
+    return (error, data) => {
+      first(error, data);
+      second(error, data);
+    };
+  }
+
+  _request (cmd, label = 'unknown', retry = 0, options = {}) {
     const self = this;
 
     return new Promise(async (resolve, reject) => {
-      const options = {
-        cmd,
-        label,
-        retry
-      };
-
-      if (self._cmdQueue.length === self._maxQueueDepth) {
-        self.logger.debug('SerialBridge._request: Maximum queue depth reached');
+      if (!self._connected) {
+        if (self._closed) {
+          return reject(new Error('Connection closed'));
+        }
 
-        return reject(new Error('Maximum queue depth reached'));
-      }
+        // Fail fast instead of bypassing the backoff while waiting to reconnect
+        if (self._reconnectTimer) {
+          return reject(new Error(`Not connected, reconnecting (${self._lastError || 'Connection closed'})`));
+        }
 
-      if (!self._connected) {
-        await self._connect();
+        try {
+          await self._connect();
+        } catch (error) {
+          return reject(error);
+        }
       }
 
-      self._queueCommand(options, (error, data) => {
+      self._queueCommand({
+        ...options,
+        cmd,
+        label,
+        retry
+      }, (error, data) => {
         if (error) {
           return reject(error);
         }
@@ -275,19 +863,13 @@ module.exports = class extends AC {
 
     status = await self.getStatus(true, false)
       .catch(error => {
-        throw logger.error(`SerialBridge.initialize: Failed to get current status of ${self.id} - ${error.message}`);
+        logger.error(`SerialBridge.initialize: Failed to get current status of ${self.id} - ${error.message}`);
+
+        throw error;
       });
 
     logger.silly(`SerialBridge.initialize: Current status of ${self.id} - ${JSON.stringify(status)}`);
 
-    // Send the network notification message each 2 minutes (use unref to prevent this is keeping the process alive and stalls the unit test)
-    setInterval(self => {
-      self.sendNetworkStatusNotification()
-        .catch(error => {
-          logger.error(`SerialBridge.initialize: Failed to send network status notification for ${self.id} - ${error.message}`);
-        });
-    }, 120000, self).unref();
-
     self.emit('initialized', {
       status,
       capabilities
@@ -304,7 +886,47 @@ module.exports = class extends AC {
   // Sending this update show the WiFi symbol on the display of the unit
   sendNetworkStatusNotification () {
     const self = this;
-    let cmd = Buffer.alloc(20);
+    const cmd = createCommand(self._networkStatus(), 0x0D, 0x03, 0xAC, false);
+
+    return new Promise((resolve, reject) => {
+      self._request(cmd, 'sendNetworkStatusNotification')
+        .then(response => {
+          // Check this is the correct response type
+          if (response[10] !== 0x0D) {
+            return reject(new Error('Invalid response'));
+          }
+
+          resolve(response);
+        })
+        .catch(error => {
+          reject(error);
+        });
+    });
+  }
+
+  // Reply to the network status request of the unit (message type 0x63), the reply is not acknowledged
+  _replyNetworkStatus () {
+    const self = this;
+    const cmd = createCommand(self._networkStatus(), MSGTYPE_QUERY_NETWORK, 0x03, 0xAC, false);
+
+    if (!self._connected) {
+      return;
+    }
+
+    self._queueCommand({
+      cmd,
+      label: 'replyNetworkStatus',
+      noResponse: true
+    }, error => {
+      if (error) {
+        logger.error(`SerialBridge._replyNetworkStatus: Failed to reply to network status request (${error.message})`);
+      }
+    });
+  }
+
+  _networkStatus () {
+    const self = this;
+    const cmd = Buffer.alloc(20);
 
     // Byte 0: Module type:
     // - 0x00 RF module
@@ -391,21 +1013,6 @@ module.exports = class extends AC {
     cmd[18] = 0x00;
     cmd[19] = 0x00;
 
-    cmd = createCommand(cmd, 0x0D, 0x03, 0xAC, false);
-
-    return new Promise((resolve, reject) => {
-      self._request(cmd, 'sendNetworkStatusNotification')
-        .then(response => {
-          // Check this is the correct response type
-          if (response[10] !== 0x0D) {
-            return reject(new Error('Invalid response'));
-          }
-
-          resolve(response);
-        })
-        .catch(error => {
-          reject(error);
-        });
-    });
+    return cmd;
   }
 };
@@ -0,0 +1,44 @@
+'use strict';
+
+const { SerialPort } = require('serialport');
+
+const SerialBridge = require('./serialbridge');
+
+// Direct connection to the UART of the appliance (e.g. via an USB-TTL adapter). Only the
+// stream differs from the serialbridge, queueing, framing and the protocol are shared.
+module.exports = class extends SerialBridge {
+  _initializeTransport (options) {
+    if (!options.path) {
+      throw new Error('Cannot create serialport connection, no path specified');
+    }
+
+    this.path = options.path;
+
+    // The UART of the appliance runs at 9600 baud, 8 data bits, no parity, 1 stop bit
+    this.baudRate = options.baudRate || 9600;
+    this.parity = options.parity || 'none';
+    this.stopBits = Number(options.stopBits) || 1;
+
+    this.id = options.path;
+  }
+
+  _createConnection () {
+    const connection = new SerialPort({
+      path: this.path,
+      baudRate: this.baudRate,
+      dataBits: 8,
+      parity: this.parity,
+      stopBits: this.stopBits
+    }, error => {
+      // A port that fails to open is not closed by itself, destroy it to trigger the reconnect
+      if (error) {
+        return connection.destroy(error);
+      }
+
+      // Report an opened port like an established socket
+      connection.emit('connect');
+    });
+
+    return connection;
+  }
+};
@@ -67,8 +67,8 @@ function addHeader0x5A5A (data, messageId, deviceId) {
   packet[18] = now.getFullYear() % 100;
   packet[19] = Math.floor(now.getFullYear() / 100);
 
-  // Insert device Id (reversed)
-  deviceId = Buffer.from(deviceId.toString(16), 'hex');
+  // Insert device Id (reversed), the id is a decimal number (or string) of 6 bytes
+  deviceId = Buffer.from(BigInt(deviceId).toString(16).padStart(12, '0'), 'hex');
   packet[20] = deviceId[5];
   packet[21] = deviceId[4];
   packet[22] = deviceId[3];
@@ -92,18 +92,24 @@ module.exports = class extends AC {
       throw new Error('Cannot create SK103 connection, no device Id specified');
     }
 
+    // The device Id is sent as 6 byte number in the header of every packet
+    if (!/^\d+$/.test(String(options.id).trim()) || BigInt(String(options.id).trim()) >= 2n ** 48n) {
+      throw new Error(`Cannot create SK103 connection, invalid device Id ${options.id}`);
+    }
+
     if (!options.key || !options.token) {
       throw new Error('Cannot create SK103 connection, no key and/or token specified');
     }
 
     this.host = options.host;
-    this.id = options.id;
+    this.id = String(options.id).trim();
     this.key = options.key;
     this.token = options.token;
 
     this._signKey = 'xhdiwjnchekd4d512chdjx5d8e4c394D2D7S';
     this._signKeyMD5 = Buffer.from(crypto.createHash('md5').update(this._signKey).digest('hex'), 'hex');
     this._requestCount = 0;
+    this._messageId = 0;
     this._tcpKey = null;
 
     this._rcvBuf = [];
@@ -114,7 +120,14 @@ module.exports = class extends AC {
     this._cmdInProgress = false;
     this._authInProgress = false;
     this._cmdQueue = [];
-    this._maxQueueDepth = 5;
+    this._maxQueueDepth = options.maxQueueDepth || 5;
+    this._closed = false;
+
+    // The connection is only kept open while commands are queued, so the health of the
+    // link is derived from the outcome of the last command
+    this._reachable = false;
+    this._responding = false;
+    this._consecutiveTimeouts = 0;
 
     this.logger = logger.child({ label: `deviceId=${this.id}` });
 
@@ -185,8 +198,6 @@ module.exports = class extends AC {
           self.logger.error('SK103._authenticate: Message signature does not validate');
           return reject(new Error('Invalid signature'));
         }
-        logger.debug('HIER ZIJN WE DAN2');
-
         const tcpKey = [];
         for (let i = 0; i < decrypted.length; i++) {
           tcpKey.push(decrypted[i] ^ key[i]);
@@ -275,11 +286,15 @@ module.exports = class extends AC {
       if (!self._cmdQueue[0].noDecode) {
         data = self._decode(data);
 
-        if (data.length === 5 && data.toString() === 'ERROR') {
+        if (!data) {
+          error = 'Invalid response';
+        } else if (data.length === 5 && data.toString() === 'ERROR') {
           error = data.toString();
         } else {
           const decipher = crypto.createDecipheriv('aes-128-ecb', self._signKeyMD5, '');
           data = Buffer.from(decipher.update(data.subarray(40, -16), 'hex', 'hex') + decipher.final('hex'), 'hex');
+
+          self.emit('frame-received', data, self._cmdQueue[0].label);
         }
       }
 
@@ -288,9 +303,13 @@ module.exports = class extends AC {
       // Disable timeout timer
       clearTimeout(self._cmdTimer);
 
-      // If the finished command was authenticate, a command is still in progress
-      let skipProcessingQueue = false;
       if (self._cmdQueue[0].label !== 'authenticate') {
+        self._linkHealth(true, true);
+      }
+
+      // If the finished command was authenticate, the command that required authentication is still in progress
+      let skipProcessingQueue = false;
+      if (self._cmdQueue[0].label === 'authenticate') {
         skipProcessingQueue = true;
       }
 
@@ -416,7 +435,9 @@ module.exports = class extends AC {
     }
 
     if (!self._cmdQueue.length) {
-      self._connection.destroy();
+      if (self._connection) {
+        self._connection.destroy();
+      }
       return self.logger.silly('SK103._processQueue: No queued commands');
     }
 
@@ -427,12 +448,24 @@ module.exports = class extends AC {
         });
 
       if (!self._connected || !self._tcpKey) {
+        self._linkHealth(false, false);
+
+        // The queue has been cleared by disconnect
+        if (!self._cmdQueue.length) {
+          return;
+        }
+
         self._cmdQueue[0].handler(!self._tcpKey ? 'Failed to authenticate' : 'Failed to connect');
 
         // Remove previous command from queue
         self._cmdQueue.shift();
         self._cmdInProgress = false;
 
+        // Continue with the next command, it will try to authenticate again
+        setTimeout(() => {
+          self._processQueue();
+        }, 500);
+
         return;
       }
     }
@@ -460,6 +493,8 @@ module.exports = class extends AC {
       packet = self._encode0x8370(packet, MSGTYPE_ENCRYPTED_REQUEST);
 
       self._cmdQueue[0].packet = packet;
+
+      self.emit('frame-sent', self._cmdQueue[0].cmd, self._cmdQueue[0].label);
     }
 
     self.logger.debug(`SK103._processQueue: Sending '${self._cmdQueue[0].label}' command`);
@@ -496,6 +531,8 @@ module.exports = class extends AC {
 
         self._cmdInProgress = false;
 
+        self._linkHealth(true, false);
+
         if (self._cmdQueue[0].retry) {
           self._cmdQueue[0].retry--;
 
@@ -546,13 +583,18 @@ module.exports = class extends AC {
     self._processQueue();
   }
 
-  _request (cmd, label = 'unknown', retry = 0) {
+  // The options (e.g. coalescing of setStatus commands) of the serialbridge are not supported
+  _request (cmd, label = 'unknown', retry = 0, options = {}) {
     const self = this;
 
     self.logger.info(`SK103._request: Entering with ${label}=${cmd.toString('hex')}`);
 
     return new Promise(async (resolve, reject) => {
-      const options = {
+      if (self._closed) {
+        return reject(new Error('Connection closed'));
+      }
+
+      options = {
         cmd,
         label,
         retry
@@ -576,6 +618,55 @@ module.exports = class extends AC {
     });
   }
 
+  // connected: the dongle could be reached and authenticated for the last command
+  // responding: the appliance answered the last command
+  get linkHealth () {
+    return {
+      connected: this._reachable,
+      responding: this._responding,
+      consecutiveTimeouts: this._consecutiveTimeouts
+    };
+  }
+
+  _linkHealth (reachable, responding) {
+    const self = this;
+
+    if (responding) {
+      self._consecutiveTimeouts = 0;
+    } else {
+      self._consecutiveTimeouts++;
+    }
+
+    self._reachable = reachable;
+    self._responding = responding;
+
+    self.emit('link-health', self.linkHealth);
+  }
+
+  // Stop processing commands and close the connection, all pending commands are rejected
+  disconnect () {
+    const self = this;
+
+    self.logger.debug('SK103.disconnect: Entering');
+
+    self._closed = true;
+
+    clearTimeout(self._cmdTimer);
+
+    const queue = self._cmdQueue;
+
+    self._cmdQueue = [];
+    self._cmdInProgress = false;
+
+    queue.forEach(entry => {
+      entry.handler('Connection closed');
+    });
+
+    if (self._connection) {
+      self._connection.destroy();
+    }
+  }
+
   async initialize () {
     const self = this;
     let status = {};
@@ -594,7 +685,9 @@ module.exports = class extends AC {
 
     status = await self.getStatus(true, false)
       .catch(error => {
-        throw logger.error(`SK103.initialize: Failed to get current status of ${self.id} - ${error.message}`);
+        logger.error(`SK103.initialize: Failed to get current status of ${self.id} - ${error.message}`);
+
+        throw error;
       });
 
     logger.silly(`SK103.initialize: Current status of ${self.id} - ${JSON.stringify(status)}`);
@@ -0,0 +1,136 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { isSupported, parse } = require('./node-mideahvac/lib/parsers');
+
+const FILE_NAME = 'capture.jsonl';
+
+// Writes every frame sent to or received from the indoor units as JSON line to a file in the data
+// directory of the instance. The file is rotated when it exceeds the maximum size, the oldest
+// rotated file is removed.
+class ProtocolCapture {
+  constructor(options) {
+    this.directory = options.directory;
+    this.maxFileSize = options.maxFileSize || 1024 * 1024;
+    this.maxFiles = options.maxFiles || 3;
+    this.log = options.log;
+
+    this.enabled = false;
+    this.size = 0;
+    this.stream = null;
+  }
+
+  get file() {
+    return path.join(this.directory, FILE_NAME);
+  }
+
+  start() {
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+    this._open();
+    this.enabled = true;
+    this.log.info(`Protocol capture started, writing to ${this.file}`);
+  }
+
+  stop() {
+    if (this.enabled) {
+      this.enabled = false;
+      this._close();
+      this.log.info('Protocol capture stopped');
+    }
+  }
+
+  record(unit, direction, frame, label) {
+    if (!this.enabled) {
+      return;
+    }
+
+    const line = `${JSON.stringify({
+      time: new Date().toISOString(),
+      unit,
+      direction,
+      label: label || null,
+      hex: frame.toString('hex'),
+      decoded: direction === 'rx' ? this._decode(frame) : null,
+    })}\n`;
+
+    // The size of the file in bytes, the decoded content may contain non-ASCII characters
+    const length = Buffer.byteLength(line);
+    try {
+      if (this.size > 0 && this.size + length > this.maxFileSize) {
+        this._rotate();
+      }
+      this.stream.write(line);
+      this.size += length;
+    } catch (error) {
+      this.log.warn(`Failed to write protocol capture: ${error.message}`);
+    }
+  }
+
+  // The rotated files and the current file, oldest entries first
+  read() {
+    const files = [];
+    for (let index = this.maxFiles; index > 0; index--) {
+      files.push(this._rotatedFile(index));
+    }
+    files.push(this.file);
+
+    return files
+      .filter((file) => fs.existsSync(file))
+      .map((file) => fs.readFileSync(file, 'utf8'))
+      .join('');
+  }
+
+  _decode(frame) {
+    if (frame.length < 12 || !isSupported(frame[10])) {
+      return null;
+    }
+
+    try {
+      return parse(frame);
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  // Opened synchronously, so that the file exists for a rotation before the stream has opened it
+  _open() {
+    this.stream = fs.createWriteStream(this.file, { fd: fs.openSync(this.file, 'a') });
+    this.stream.on('error', (error) => {
+      this.log.warn(`Failed to write protocol capture: ${error.message}`);
+    });
+  }
+
+  _close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+  }
+
+  _rotatedFile(index) {
+    return path.join(this.directory, `capture.${index}.jsonl`);
+  }
+
+  // Lines still buffered by the stream are written to the renamed file, they precede the rotation
+  _rotate() {
+    this._close();
+    try {
+      fs.rmSync(this._rotatedFile(this.maxFiles), { force: true });
+      for (let index = this.maxFiles - 1; index > 0; index--) {
+        if (fs.existsSync(this._rotatedFile(index))) {
+          fs.renameSync(this._rotatedFile(index), this._rotatedFile(index + 1));
+        }
+      }
+      fs.renameSync(this.file, this._rotatedFile(1));
+      this.size = 0;
+    } finally {
+      this._open();
+    }
+  }
+}
+
+module.exports = {
+  ProtocolCapture,
+};
@@ -103,6 +103,31 @@ const SWING_VALUE_TO_NAME = {
   3: 'both',
 };
 
+// Fixed positions of the vanes as angle property (0xB0/0xB1) of the unit
+const VERTICAL_VANE_POSITIONS = {
+  top: 1,
+  upper: 25,
+  middle: 50,
+  lower: 75,
+  bottom: 100,
+};
+
+const HORIZONTAL_VANE_POSITIONS = {
+  left: 1,
+  midleft: 25,
+  center: 50,
+  midright: 75,
+  right: 100,
+};
+
+// Breeze modes as breeze property (0xB0/0xB1) of the unit
+const BREEZE_MODES = {
+  off: 1,
+  away: 2,
+  mild: 3,
+  breezeless: 4,
+};
+
 function normalizeString(value) {
   if (value == null) {
     return '';
@@ -122,5 +147,8 @@ module.exports = {
   SWING_ALIASES,
   SWING_NAME_TO_VALUE,
   SWING_VALUE_TO_NAME,
+  VERTICAL_VANE_POSITIONS,
+  HORIZONTAL_VANE_POSITIONS,
+  BREEZE_MODES,
   normalizeString,
 };
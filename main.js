@@ -1,9 +1,14 @@
 'use strict';
 
 const utils = require('@iobroker/adapter-core');
+const fs = require('node:fs');
 const { isDeepStrictEqual } = require('node:util');
-const { MideaSerialBridge } = require('./lib/midea-serial-bridge');
+const { MideaSerialBridge, parseSleepCurve } = require('./lib/midea-serial-bridge');
+const { BridgeProxy } = require('./lib/bridge-proxy');
+const { FollowMe } = require('./lib/follow-me');
+const { ProtocolCapture } = require('./lib/protocol-capture');
 const { DATA_POINTS } = require('./lib/datapoints');
+const { OutOfRangeError } = require('./lib/node-mideahvac/lib/errors');
 const {
   MODE_ALIASES,
   MODE_NAME_TO_VALUE,
@@ -100,10 +105,70 @@ const POLLING_METHODS = [
     id: 'getPowerUsage',
     defaultInterval: 300,
   },
+  {
+    id: 'getProperties',
+    defaultInterval: 60,
+  },
 ];
 
 const POLLING_METHOD_MAP = new Map(POLLING_METHODS.map((entry) => [entry.id, entry]));
 
+const QUEUE_DROP_POLICIES = ['rejectNew', 'dropOldestPoll'];
+
+// Sleep curves selectable in the configuration, the setpoints in °C of the hours of sleep mode
+const SLEEP_CURVE_PRESETS = {
+  coolingGentle: [25, 25.5, 26, 26.5, 27, 27, 27, 27],
+  coolingStrong: [24, 25, 26, 27, 28, 28, 28, 28],
+  heating: [21, 20.5, 20, 19.5, 19, 19, 19, 19, 20, 21],
+};
+
+// Range of the setpoint in °C the indoor units accept, narrowed by the capabilities of the unit
+const SETPOINT_RANGE_CELSIUS = { min: 16, max: 31 };
+const SETPOINT_RANGE_FAHRENHEIT = { min: 60, max: 87 };
+
+// Handling of datapoints the unit does not support according to its capabilities
+const UNSUPPORTED_DATAPOINT_POLICIES = ['hide', 'delete', 'create'];
+
+const COMMUNICATION_METHODS = ['serialbridge', 'serialport', 'sk103', 'simulation', 'replay'];
+
+const PARITIES = ['none', 'even', 'odd', 'mark', 'space'];
+
+const STOP_BITS = [1, 1.5, 2];
+
+// Time in ms the units get on unload to measure the room temperature with their own sensor again
+const FOLLOW_ME_STOP_TIMEOUT = 1500;
+
+// Stored encrypted by the admin, they must not be written back in plain text
+const ENCRYPTED_NATIVE = ['key', 'token', 'tlsKey'];
+
+const FRAME_STATISTICS = [
+  { id: 'framesReceived', name: 'Valid frames received' },
+  { id: 'bytesDiscarded', name: 'Discarded bytes' },
+  { id: 'syncErrors', name: 'Bytes received outside a frame' },
+  { id: 'lengthErrors', name: 'Frames with invalid length' },
+  { id: 'checksumErrors', name: 'Frames with invalid checksum' },
+  { id: 'crcErrors', name: 'Frames with invalid CRC8' },
+  { id: 'timeouts', name: 'Incomplete frames' },
+];
+
+// Objects of a single unit at the root of the instance (no devices table) besides the datapoints
+// of the info channel, `info` and `info.connection` are shared with the instance
+const SINGLE_UNIT_OBJECTS = [
+  'control',
+  'sensors',
+  'timers',
+  'statusRaw',
+  'capabilities',
+  'info.bridgeConnected',
+  'info.unitResponding',
+  'info.consecutiveTimeouts',
+  'info.reconnectAttempts',
+  'info.nextReconnect',
+  'info.lastError',
+  'info.followMeActive',
+  'info.frames',
+];
+
 class MideaSerialBridgeAdapter extends utils.Adapter {
   constructor(options = {}) {
     super({
@@ -111,14 +176,12 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       name: 'midea-serialbridge',
     });
 
-    this.bridge = null;
-    this.pollTimers = new Map();
+    this.units = new Map();
     this.datapoints = DATA_POINTS.map((dp) => cloneDatapointDefinition(dp));
     this.datapointById = new Map(this.datapoints.map((dp) => [dp.id, dp]));
     this._terminating = false;
     this._restartTimer = null;
-    this._knownCapabilityStates = new Set();
-    this._knownRawStatusStates = new Set();
+    this.capture = null;
     this.valueRepresentation = { mode: false, fanSpeed: false, swingMode: false };
 
     this._unhandledRejectionHandler = (reason) => {
@@ -137,6 +200,7 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
 
     this.on('ready', this.onReady.bind(this));
     this.on('stateChange', this.onStateChange.bind(this));
+    this.on('message', this.onMessage.bind(this));
     this.on('unload', this.onUnload.bind(this));
   }
 
@@ -152,63 +216,173 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
 
       this._applyValueRepresentationConfig();
 
-      if (!this.config || !this.config.host) {
-        this.log.error('No host configured. Please enter the IP address of the serial bridge.');
+      this.units = new Map(this._buildUnits().map((unit) => [unit.id, unit]));
+      if (this.units.size === 0) {
+        this.log.error(
+          'No host configured. Please enter the IP address of the serial bridge (or the serial device) or add indoor units on the Devices tab.'
+        );
         return;
       }
 
-      await this._ensureObjects();
+      if (!this.units.has('')) {
+        await this._removeSingleUnitObjects();
+      }
+
+      for (const unit of this.units.values()) {
+        await this._ensureObjects(unit);
+        await this._applyLinkHealth(unit, {
+          connected: false,
+          responding: false,
+          consecutiveTimeouts: 0,
+        });
+      }
+      await this._initCapture();
       this.subscribeStates('*');
 
-      this.bridge = new MideaSerialBridge({
-        host: this.config.host,
-        port: Number(this.config.port) || 23,
-        reconnectInterval: (Number(this.config.reconnectInterval) || 10) * 1000,
-        log: this.log,
-        beepOnCommand: this.config.beep !== false,
-        valueRepresentation: this.valueRepresentation,
+      await Promise.all([...this.units.values()].map((unit) => this._startUnit(unit)));
+    } catch (error) {
+      const message = this._formatError(error);
+      this.log.error(`Adapter initialization failed: ${message}`);
+      if (this._scheduleRestart('Adapter initialization failed')) {
+        return;
+      }
+      this._terminateAdapter('Adapter initialization failed', message);
+    }
+  }
+
+  async _startUnit(unit) {
+    const log = this._createUnitLogger(unit);
+
+    let tls;
+    if (unit.tls) {
+      try {
+        tls = this._buildTlsOptions();
+      } catch (error) {
+        log.error(`Failed to load TLS certificates: ${error.message}`);
+        return;
+      }
+    }
+
+    const sleepCurve = await this._resolveSleepCurve(unit);
+
+    unit.bridge = new MideaSerialBridge({
+      communicationMethod: unit.communicationMethod,
+      host: unit.host,
+      port: unit.port,
+      path: unit.path,
+      replayFile: unit.replayFile,
+      baudRate: Number(this.config.baudRate) || 9600,
+      parity: this.config.parity,
+      stopBits: this.config.stopBits,
+      rfc2217: unit.rfc2217,
+      tls,
+      deviceId: unit.deviceId,
+      key: unit.key,
+      token: unit.token,
+      reconnectInterval: (Number(this.config.reconnectInterval) || 10) * 1000,
+      maxReconnectInterval: (Number(this.config.maxReconnectInterval) || 300) * 1000,
+      watchdogTimeouts: Number(this.config.watchdogTimeouts),
+      log,
+      beepOnCommand: unit.beep,
+      maxQueueDepth: this.config.maxQueueDepth,
+      queueDropPolicy: this.config.queueDropPolicy,
+      valueRepresentation: this.valueRepresentation,
+      sleepCurve,
+    });
+
+    unit.bridge.on('connected', () => {
+      log.info('Serial bridge connection established');
+      this._clearUnitRestartTimer(unit);
+      this.setStateChangedAsync(`${unit.prefix}info.nextReconnect`, { val: null, ack: true }).catch(
+        (error) => {
+          log.debug(`Failed to reset info.nextReconnect: ${this._formatError(error)}`);
+        }
+      );
+      this._startPolling(unit);
+    });
+
+    unit.bridge.on('disconnected', () => {
+      log.warn('Serial bridge disconnected');
+      unit.connected = false;
+      this.setStateAsync(`${unit.prefix}info.connection`, false, true);
+      this._updateInstanceConnection();
+      this._clearPolling(unit);
+      this._scheduleUnitRestart(unit, 'Serial bridge disconnected');
+    });
+
+    unit.bridge.on('statusData', (values, rawStatus) => {
+      this._applyStatusUpdate(unit, values, rawStatus).catch((error) => {
+        log.debug(`Failed to process status update: ${this._formatError(error)}`);
       });
+    });
 
-      this.bridge.on('connected', () => {
-        this.log.info('Serial bridge connection established');
-        this._clearRestartTimer();
-        this.setStateAsync('info.connection', true, true);
-        this._startPolling();
+    unit.bridge.on('capabilities', (capabilities) => {
+      this._applyCapabilities(unit, capabilities).catch((error) => {
+        log.debug(`Failed to process capabilities update: ${this._formatError(error)}`);
       });
+    });
 
-      this.bridge.on('disconnected', () => {
-        this.log.warn('Serial bridge disconnected');
-        this.setStateAsync('info.connection', false, true);
-        this._clearPolling();
-        this._scheduleRestart('Serial bridge disconnected');
+    unit.bridge.on('powerUsage', (usage) => {
+      this._applyPowerUsage(unit, usage).catch((error) => {
+        log.debug(`Failed to process power usage update: ${this._formatError(error)}`);
       });
+    });
 
-      this.bridge.on('statusData', (values, rawStatus) => {
-        this._applyStatusUpdate(values, rawStatus).catch((error) => {
-          this.log.debug(`Failed to process status update: ${this._formatError(error)}`);
-        });
+    unit.bridge.on('linkHealth', (health) => {
+      this._applyLinkHealth(unit, health).catch((error) => {
+        log.debug(`Failed to process link health: ${this._formatError(error)}`);
       });
+    });
 
-      this.bridge.on('capabilities', (capabilities) => {
-        this._applyCapabilities(capabilities).catch((error) => {
-          this.log.debug(`Failed to process capabilities update: ${this._formatError(error)}`);
-        });
+    unit.bridge.on('reconnect', (reconnect) => {
+      log.info(
+        `Reconnecting to serial bridge in ${Math.round(reconnect.delay / 1000)} seconds (attempt ${reconnect.attempt}): ${reconnect.reason}`
+      );
+      this._applyReconnect(unit, reconnect).catch((error) => {
+        log.debug(`Failed to process reconnect state: ${this._formatError(error)}`);
       });
+    });
 
-      this.bridge.on('powerUsage', (usage) => {
-        this._applyPowerUsage(usage).catch((error) => {
-          this.log.debug(`Failed to process power usage update: ${this._formatError(error)}`);
-        });
+    unit.bridge.on('frame', (direction, frame, label) => {
+      this.capture.record(unit.name, direction, frame, label);
+    });
+
+    unit.bridge.on('frameStatistics', (statistics) => {
+      this._applyFrameStatistics(unit, statistics).catch((error) => {
+        log.debug(`Failed to process frame statistics: ${this._formatError(error)}`);
       });
+    });
 
-      await this.bridge.connect();
-    } catch (error) {
-      const message = this._formatError(error);
-      this.log.error(`Adapter initialization failed: ${message}`);
-      if (this._scheduleRestart('Adapter initialization failed')) {
-        return;
+    if (unit.proxyPort) {
+      unit.proxy = new BridgeProxy({
+        bridge: unit.bridge,
+        port: unit.proxyPort,
+        bind: this.config.proxyBind,
+        log,
+      });
+      try {
+        await unit.proxy.start();
+      } catch (error) {
+        log.error(`Failed to start proxy on port ${unit.proxyPort}: ${error.message}`);
+        unit.proxy = null;
       }
-      this._terminateAdapter('Adapter initialization failed', message);
+    }
+
+    await this._connectUnit(unit, log);
+
+    // Started once connected, so that a recent value is sent to the initialized unit right away
+    if (unit.followMeState) {
+      await this._startFollowMe(unit, log);
+    }
+  }
+
+  // A failing unit must not prevent the other units from starting
+  async _connectUnit(unit, log) {
+    try {
+      await unit.bridge.connect();
+    } catch (error) {
+      log.error(`Failed to connect: ${this._formatError(error)}`);
+      this._scheduleUnitRestart(unit, 'Serial bridge unreachable');
     }
   }
 
@@ -217,9 +391,22 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
     this._unregisterProcessHandlers();
     try {
       this._clearRestartTimer();
-      this._clearPolling();
-      if (this.bridge) {
-        this.bridge.disconnect();
+      if (this.capture) {
+        this.capture.stop();
+      }
+      const units = [...this.units.values()];
+      await Promise.all(
+        units.filter((unit) => unit.followMe).map((unit) => this._stopFollowMe(unit))
+      );
+      for (const unit of units) {
+        this._clearUnitRestartTimer(unit);
+        this._clearPolling(unit);
+        if (unit.proxy) {
+          unit.proxy.stop();
+        }
+        if (unit.bridge) {
+          unit.bridge.disconnect();
+        }
       }
       callback();
     } catch (error) {
@@ -227,6 +414,68 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
     }
   }
 
+  // Sends the foreign state periodically as room temperature, a recent value is used at once
+  async _startFollowMe(unit, log) {
+    unit.followMe = new FollowMe({
+      bridge: unit.bridge,
+      stateId: unit.followMeState,
+      interval: this.config.followMeInterval * 1000,
+      timeout: this.config.followMeTimeout * 1000,
+      log,
+    });
+
+    unit.followMe.on('active', (active) => {
+      this.setStateChangedAsync(`${unit.prefix}info.followMeActive`, {
+        val: active,
+        ack: true,
+      }).catch((error) => {
+        log.debug(`Failed to update follow-me state: ${this._formatError(error)}`);
+      });
+    });
+
+    await this.setStateChangedAsync(`${unit.prefix}info.followMeActive`, { val: false, ack: true });
+    this.subscribeForeignStates(unit.followMeState);
+
+    try {
+      const state = await this.getForeignStateAsync(unit.followMeState);
+      if (state) {
+        unit.followMe.update(state);
+      }
+    } catch (error) {
+      log.warn(`Failed to read follow-me state ${unit.followMeState}: ${error.message}`);
+    }
+
+    unit.followMe.start();
+  }
+
+  // Otherwise the unit keeps the last external temperature while the adapter is stopped
+  async _stopFollowMe(unit) {
+    unit.followMe.stop();
+    if (!unit.bridge || !unit.bridge.connected) {
+      return;
+    }
+
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(resolve, FOLLOW_ME_STOP_TIMEOUT);
+    });
+    try {
+      await Promise.race([unit.bridge.stopFollowMe(), timeout]);
+    } catch (error) {
+      this.log.debug(`Failed to stop follow-me for ${unit.name}: ${error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  _updateFollowMe(id, state) {
+    for (const unit of this.units.values()) {
+      if (unit.followMe && unit.followMe.stateId === id) {
+        unit.followMe.update(state);
+      }
+    }
+  }
+
   _registerProcessHandlers() {
     process.on('unhandledRejection', this._unhandledRejectionHandler);
     process.on('uncaughtException', this._uncaughtExceptionHandler);
@@ -243,7 +492,11 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
   }
 
   async onStateChange(id, state) {
-    if (!state || state.ack || !this.bridge) {
+    if (state) {
+      this._updateFollowMe(id, state);
+    }
+
+    if (!state || state.ack) {
       return;
     }
 
@@ -251,10 +504,21 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       return;
     }
 
-    const relativeId = id.slice(this.namespace.length + 1);
+    if (id === `${this.namespace}.info.capture.enabled`) {
+      await this._setCapture(!!state.val);
+      return;
+    }
+
+    const target = this._resolveUnitState(id.slice(this.namespace.length + 1));
+    if (!target || !target.unit.bridge) {
+      return;
+    }
+
+    const { unit, relativeId } = target;
+    const log = this._createUnitLogger(unit);
 
     if (relativeId === 'control.command') {
-      await this._handleCommandState(id, state.val);
+      await this._handleCommandState(unit, id, state.val);
       return;
     }
 
@@ -265,23 +529,332 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
 
     const datapoint = this.datapointById.get(datapointId);
     if (!datapoint.write) {
-      this.log.debug(`State ${datapointId} is read only`);
+      log.debug(`State ${datapointId} is read only`);
       return;
     }
 
     try {
-      const value = this._normalizeWriteValue(datapoint, state.val);
-      this.log.debug(`Forwarding command ${datapointId} with value ${JSON.stringify(value)}`);
-      const updates = await this.bridge.set(datapointId, value);
+      const value = this._normalizeWriteValue(
+        datapoint,
+        state.val,
+        datapointId === 'targetTemperature' ? this._temperatureLimits(unit) : undefined
+      );
+      log.debug(`Forwarding command ${datapointId} with value ${JSON.stringify(value)}`);
+      const updates = await unit.bridge.set(datapointId, value);
       if (updates && typeof updates === 'object' && Object.keys(updates).length > 0) {
-        await this._applyStatusUpdate(updates);
+        await this._applyStatusUpdate(unit, updates);
       } else {
         await this.setStateAsync(id, { val: value, ack: true });
       }
     } catch (error) {
-      this.log.error(`Failed to write ${datapointId}: ${this._formatError(error)}`);
-      this.setState(id, { val: state.val, ack: false, q: 0x21 });
+      // A value the unit does not support is no failure of the adapter, the reason is enough
+      const reason = error.name === 'OutOfRangeError' ? error.message : this._formatError(error);
+      log.error(`Failed to write ${datapointId}: ${reason}`);
+      // Acknowledged, so that the rejected value is not written again, with the last known value
+      // of the unit when there is one
+      const known = unit.bridge.statusCache[datapointId];
+      this.setState(id, {
+        val: known === undefined ? state.val : this._normalizeReadValue(datapoint, known),
+        ack: true,
+        q: 0x21,
+        c: error.message,
+      });
+    }
+  }
+
+  async onMessage(obj) {
+    if (!obj || !obj.command) {
+      return;
+    }
+
+    let response;
+    switch (obj.command) {
+      case 'getCapture':
+        if (!this.capture) {
+          response = { error: 'Protocol capture not available, no indoor unit configured' };
+          break;
+        }
+        try {
+          response = { file: this.capture.file, capture: this.capture.read() };
+        } catch (error) {
+          response = { error: `Failed to read protocol capture: ${error.message}` };
+        }
+        break;
+
+      default:
+        response = { error: `Unknown command ${obj.command}` };
+    }
+
+    if (obj.callback) {
+      this.sendTo(obj.from, obj.command, response, obj.callback);
+    }
+  }
+
+  // Frames of all units are captured while `info.capture.enabled` is set
+  async _initCapture() {
+    await this.setObjectNotExistsAsync('info.capture', {
+      type: 'channel',
+      common: {
+        name: 'Protocol capture',
+      },
+      native: {},
+    });
+
+    await this.setObjectNotExistsAsync('info.capture.enabled', {
+      type: 'state',
+      common: {
+        name: 'Capture all frames to a file',
+        type: 'boolean',
+        role: 'switch',
+        read: true,
+        write: true,
+        def: false,
+      },
+      native: {},
+    });
+
+    this.capture = new ProtocolCapture({
+      directory: utils.getAbsoluteInstanceDataDir(this),
+      log: this.log,
+    });
+
+    const state = await this.getStateAsync('info.capture.enabled');
+    await this._setCapture(!!(state && state.val));
+  }
+
+  async _setCapture(enabled) {
+    try {
+      if (enabled) {
+        this.capture.start();
+      } else {
+        this.capture.stop();
+      }
+    } catch (error) {
+      this.log.error(`Failed to start protocol capture: ${error.message}`);
+      enabled = false;
     }
+
+    await this.setStateAsync('info.capture.enabled', enabled, true);
+  }
+
+  // Without devices table the single unit keeps its states at the root of the instance
+  _buildUnits() {
+    const devices = Array.isArray(this.config.devices)
+      ? this.config.devices.filter((device) => device && this._hasConnectionTarget(device))
+      : [];
+
+    if (devices.length === 0) {
+      if (!this._hasConnectionTarget(this.config)) {
+        return [];
+      }
+
+      return [
+        this._createUnit({
+          id: '',
+          name: this.config.host || this.config.path || this.config.communicationMethod,
+          communicationMethod: this.config.communicationMethod,
+          host: this.config.host,
+          port: this.config.port,
+          rfc2217: this.config.rfc2217,
+          tls: this.config.tls,
+          path: this.config.path,
+          replayFile: this.config.replayFile,
+          proxyPort: this.config.proxyPort,
+          followMeState: this.config.followMeState,
+          deviceId: this.config.deviceId,
+          key: this.config.key,
+          token: this.config.token,
+          beep: this.config.beep !== false,
+        }),
+      ];
+    }
+
+    const usedIds = new Set(['info']);
+    return devices.map((device) => {
+      const name = device.name || device.host || device.path || device.communicationMethod;
+      const baseId = this._sanitizeUnitId(name);
+      let id = baseId;
+      for (let index = 2; usedIds.has(id); index++) {
+        id = `${baseId}_${index}`;
+      }
+      usedIds.add(id);
+
+      return this._createUnit({
+        id,
+        name,
+        communicationMethod: device.communicationMethod,
+        host: device.host,
+        port: device.port,
+        rfc2217: device.rfc2217,
+        tls: device.tls,
+        path: device.path,
+        replayFile: device.replayFile,
+        proxyPort: device.proxyPort,
+        followMeState: device.followMeState,
+        deviceId: device.deviceId,
+        key: this._decryptDeviceSecret(device.key, 'key', name),
+        token: this._decryptDeviceSecret(device.token, 'token', name),
+        beep: device.beep !== false,
+        pollingInterval: device.pollingInterval,
+      });
+    });
+  }
+
+  // The states of a single unit at the root of the instance are replaced by the devices of the
+  // units once the devices table is filled, the old ones would stay behind without updates
+  async _removeSingleUnitObjects() {
+    const ids = [
+      ...SINGLE_UNIT_OBJECTS,
+      ...this.datapoints.filter((dp) => dp.channel === 'info').map((dp) => `info.${dp.id}`),
+    ].filter((id) => !this.units.has(id.split('.')[0])); // e.g. a unit named 'control'
+
+    let removed = false;
+    for (const id of ids) {
+      const object = await this.getObjectAsync(id);
+      if (object) {
+        await this.delObjectAsync(id, { recursive: true });
+        removed = true;
+      }
+    }
+
+    if (removed) {
+      this.log.info(
+        'Removed the states of the single unit at the root of the instance, the units of the devices table use their own devices'
+      );
+    }
+  }
+
+  // Key and token of the devices table are always stored encrypted by the admin, a value that does
+  // not decrypt to hex has been stored some other way and cannot be used
+  _decryptDeviceSecret(value, attribute, name) {
+    if (!value) {
+      return '';
+    }
+
+    const decrypted = this.decrypt(value).trim();
+    if (!/^[0-9a-f]*$/i.test(decrypted)) {
+      this.log.warn(
+        `The ${attribute} of the unit ${name} cannot be decrypted, please enter it again on the Devices tab`
+      );
+    }
+    return decrypted;
+  }
+
+  // Certificates and key are entered as PEM or as path of a PEM file
+  _buildTlsOptions() {
+    const load = (value) => {
+      if (!value) {
+        return undefined;
+      }
+      return value.includes('-----BEGIN') ? value : fs.readFileSync(value, 'utf8');
+    };
+
+    return {
+      ca: load(this.config.tlsCa),
+      cert: load(this.config.tlsCert),
+      key: load(this.config.tlsKey),
+      verifyServerName: this.config.tlsVerifyServerName !== false,
+    };
+  }
+
+  // The serial port method opens a local device instead of connecting to a host, the simulation
+  // starts an emulated unit of its own and the replay reads a recorded capture
+  _hasConnectionTarget(options) {
+    if (options.communicationMethod === 'simulation') {
+      return true;
+    }
+    if (options.communicationMethod === 'replay') {
+      return !!options.replayFile;
+    }
+    return options.communicationMethod === 'serialport' ? !!options.path : !!options.host;
+  }
+
+  _createUnit(options) {
+    return {
+      id: options.id,
+      name: options.name,
+      prefix: options.id ? `${options.id}.` : '',
+      communicationMethod: options.communicationMethod || 'serialbridge',
+      host: options.host,
+      port: Number(options.port) || 23,
+      rfc2217: !!options.rfc2217,
+      tls: !!options.tls,
+      proxyPort: Number(options.proxyPort) || 0,
+      followMeState: options.followMeState || '',
+      path: options.path,
+      replayFile: options.replayFile,
+      deviceId: options.deviceId,
+      key: options.key,
+      token: options.token,
+      beep: options.beep,
+      pollingInterval: Number(options.pollingInterval) || 0,
+      bridge: null,
+      proxy: null,
+      followMe: null,
+      mode: undefined,
+      temperatureUnit: 'celsius',
+      temperatureLimits: null,
+      connected: false,
+      restartTimer: null,
+      pollTimers: new Map(),
+      knownCapabilityStates: new Set(),
+      capabilityDatapoints: new Set(),
+      knownRawStatusStates: new Set(),
+    };
+  }
+
+  _sanitizeUnitId(name) {
+    const id = String(name)
+      .trim()
+      .toLowerCase()
+      .replace(this.FORBIDDEN_CHARS, '_')
+      .replace(/[\s.]+/g, '_');
+    return id || 'unit';
+  }
+
+  _resolveUnitState(relativeId) {
+    if (this.units.has('')) {
+      return { unit: this.units.get(''), relativeId };
+    }
+
+    const separator = relativeId.indexOf('.');
+    if (separator === -1) {
+      return null;
+    }
+
+    const unit = this.units.get(relativeId.slice(0, separator));
+    if (!unit) {
+      return null;
+    }
+
+    return { unit, relativeId: relativeId.slice(separator + 1) };
+  }
+
+  _createUnitLogger(unit) {
+    if (!unit.id) {
+      return this.log;
+    }
+
+    const prefix = `[${unit.name}] `;
+    return {
+      silly: (message) => this.log.silly(`${prefix}${message}`),
+      debug: (message) => this.log.debug(`${prefix}${message}`),
+      info: (message) => this.log.info(`${prefix}${message}`),
+      warn: (message) => this.log.warn(`${prefix}${message}`),
+      error: (message) => this.log.error(`${prefix}${message}`),
+    };
+  }
+
+  // With several units the instance is only connected when every unit is
+  _updateInstanceConnection() {
+    if (this.units.has('')) {
+      return;
+    }
+
+    const connected = [...this.units.values()].every((unit) => unit.connected);
+    this.setStateChangedAsync('info.connection', { val: connected, ack: true }).catch((error) => {
+      this.log.debug(`Failed to update info.connection: ${this._formatError(error)}`);
+    });
   }
 
   _terminateAdapter(reason, detail) {
@@ -299,8 +872,44 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
     }
   }
 
-  async _ensureObjects() {
-    await this.setObjectNotExistsAsync('info', {
+  async _ensureObjects(unit) {
+    const prefix = unit.prefix;
+
+    if (unit.id) {
+      await this.extendObjectAsync(unit.id, {
+        type: 'device',
+        common: {
+          name: unit.name,
+        },
+        native: {
+          host: unit.host,
+          port: unit.port,
+        },
+      });
+
+      await this.setObjectNotExistsAsync('info', {
+        type: 'channel',
+        common: {
+          name: 'Information',
+        },
+        native: {},
+      });
+
+      await this.setObjectNotExistsAsync('info.connection', {
+        type: 'state',
+        common: {
+          name: 'All indoor units connected',
+          type: 'boolean',
+          role: 'indicator.connected',
+          read: true,
+          write: false,
+          def: false,
+        },
+        native: {},
+      });
+    }
+
+    await this.setObjectNotExistsAsync(`${prefix}info`, {
       type: 'channel',
       common: {
         name: 'Information',
@@ -308,7 +917,7 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       native: {},
     });
 
-    await this.setObjectNotExistsAsync('info.connection', {
+    await this.setObjectNotExistsAsync(`${prefix}info.connection`, {
       type: 'state',
       common: {
         name: 'Connection status',
@@ -321,7 +930,121 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       native: {},
     });
 
-    await this.setObjectNotExistsAsync('control', {
+    await this.setObjectNotExistsAsync(`${prefix}info.bridgeConnected`, {
+      type: 'state',
+      common: {
+        name: 'Serial bridge reachable',
+        type: 'boolean',
+        role: 'indicator.reachable',
+        read: true,
+        write: false,
+        def: false,
+      },
+      native: {},
+    });
+
+    await this.setObjectNotExistsAsync(`${prefix}info.unitResponding`, {
+      type: 'state',
+      common: {
+        name: 'Indoor unit responding',
+        type: 'boolean',
+        role: 'indicator.reachable',
+        read: true,
+        write: false,
+        def: false,
+      },
+      native: {},
+    });
+
+    await this.setObjectNotExistsAsync(`${prefix}info.consecutiveTimeouts`, {
+      type: 'state',
+      common: {
+        name: 'Consecutive commands without response',
+        type: 'number',
+        role: 'value',
+        read: true,
+        write: false,
+        def: 0,
+      },
+      native: {},
+    });
+
+    await this.setObjectNotExistsAsync(`${prefix}info.reconnectAttempts`, {
+      type: 'state',
+      common: {
+        name: 'Reconnect attempts since the connection was lost',
+        type: 'number',
+        role: 'value',
+        read: true,
+        write: false,
+        def: 0,
+      },
+      native: {},
+    });
+
+    await this.setObjectNotExistsAsync(`${prefix}info.nextReconnect`, {
+      type: 'state',
+      common: {
+        name: 'Time of the next reconnect attempt',
+        type: 'number',
+        role: 'date',
+        read: true,
+        write: false,
+        def: null,
+      },
+      native: {},
+    });
+
+    await this.setObjectNotExistsAsync(`${prefix}info.lastError`, {
+      type: 'state',
+      common: {
+        name: 'Last connection error',
+        type: 'string',
+        role: 'text',
+        read: true,
+        write: false,
+        def: '',
+      },
+      native: {},
+    });
+
+    await this.setObjectNotExistsAsync(`${prefix}info.followMeActive`, {
+      type: 'state',
+      common: {
+        name: 'Room temperature of the follow-me state used',
+        type: 'boolean',
+        role: 'indicator',
+        read: true,
+        write: false,
+        def: false,
+      },
+      native: {},
+    });
+
+    await this.setObjectNotExistsAsync(`${prefix}info.frames`, {
+      type: 'channel',
+      common: {
+        name: 'Serial frame statistics',
+      },
+      native: {},
+    });
+
+    for (const statistic of FRAME_STATISTICS) {
+      await this.setObjectNotExistsAsync(`${prefix}info.frames.${statistic.id}`, {
+        type: 'state',
+        common: {
+          name: statistic.name,
+          type: 'number',
+          role: 'value',
+          read: true,
+          write: false,
+          def: 0,
+        },
+        native: {},
+      });
+    }
+
+    await this.setObjectNotExistsAsync(`${prefix}control`, {
       type: 'channel',
       common: {
         name: 'Controls',
@@ -329,7 +1052,7 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       native: {},
     });
 
-    await this.setObjectNotExistsAsync('control.command', {
+    await this.setObjectNotExistsAsync(`${prefix}control.command`, {
       type: 'state',
       common: {
         name: 'JSON command input',
@@ -342,12 +1065,12 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       native: {},
     });
 
-    const existingCommand = await this.getStateAsync('control.command');
+    const existingCommand = await this.getStateAsync(`${prefix}control.command`);
     if (!existingCommand) {
-      await this.setStateAsync('control.command', { val: '', ack: true });
+      await this.setStateAsync(`${prefix}control.command`, { val: '', ack: true });
     }
 
-    await this.setObjectNotExistsAsync('sensors', {
+    await this.setObjectNotExistsAsync(`${prefix}sensors`, {
       type: 'channel',
       common: {
         name: 'Sensors',
@@ -355,7 +1078,15 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       native: {},
     });
 
-    await this.setObjectNotExistsAsync('statusRaw', {
+    await this.setObjectNotExistsAsync(`${prefix}timers`, {
+      type: 'channel',
+      common: {
+        name: 'Timers',
+      },
+      native: {},
+    });
+
+    await this.setObjectNotExistsAsync(`${prefix}statusRaw`, {
       type: 'channel',
       common: {
         name: 'Raw status values',
@@ -363,7 +1094,7 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       native: {},
     });
 
-    await this.setObjectNotExistsAsync('capabilities', {
+    await this.setObjectNotExistsAsync(`${prefix}capabilities`, {
       type: 'channel',
       common: {
         name: 'Capabilities',
@@ -371,7 +1102,7 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       native: {},
     });
 
-    await this.setObjectNotExistsAsync('capabilities.raw', {
+    await this.setObjectNotExistsAsync(`${prefix}capabilities.raw`, {
       type: 'state',
       common: {
         name: 'Capabilities (raw)',
@@ -384,64 +1115,76 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       native: {},
     });
 
-    const existingCapabilitiesRaw = await this.getStateAsync('capabilities.raw');
+    const existingCapabilitiesRaw = await this.getStateAsync(`${prefix}capabilities.raw`);
     if (!existingCapabilitiesRaw) {
-      await this.setStateAsync('capabilities.raw', { val: '', ack: true });
+      await this.setStateAsync(`${prefix}capabilities.raw`, { val: '', ack: true });
     }
 
     for (const datapoint of this.datapoints) {
-      const stateId = `${datapoint.channel}.${datapoint.id}`;
-      const common = {
-        name: datapoint.name,
-        role: datapoint.role,
-        type: datapoint.type,
-        read: true,
-        write: !!datapoint.write,
-        def: datapoint.def,
-      };
-
-      if (datapoint.unit) {
-        common.unit = datapoint.unit;
-      }
-      if (datapoint.states) {
-        common.states = datapoint.states;
-      }
-      if (typeof datapoint.min === 'number') {
-        common.min = datapoint.min;
-      }
-      if (typeof datapoint.max === 'number') {
-        common.max = datapoint.max;
-      }
-      if (typeof datapoint.step === 'number') {
-        common.step = datapoint.step;
+      // Created once the unit reports the capability, unless it is assumed supported until the
+      // unit answers the capabilities query
+      if (datapoint.capability) {
+        if (this.config.unsupportedDatapoints !== 'create' && !datapoint.assumeSupported) {
+          continue;
+        }
+        unit.capabilityDatapoints.add(datapoint.id);
       }
+      await this._ensureDatapointObject(prefix, datapoint);
+    }
+  }
+
+  async _ensureDatapointObject(prefix, datapoint) {
+    const stateId = `${prefix}${datapoint.channel}.${datapoint.id}`;
+    const common = {
+      name: datapoint.name,
+      role: datapoint.role,
+      type: datapoint.type,
+      read: true,
+      write: !!datapoint.write,
+      def: datapoint.def,
+    };
+
+    if (datapoint.unit) {
+      common.unit = datapoint.unit;
+    }
+    if (datapoint.states) {
+      common.states = datapoint.states;
+    }
+    if (typeof datapoint.min === 'number') {
+      common.min = datapoint.min;
+    }
+    if (typeof datapoint.max === 'number') {
+      common.max = datapoint.max;
+    }
+    if (typeof datapoint.step === 'number') {
+      common.step = datapoint.step;
+    }
 
-      await this.setObjectNotExistsAsync(stateId, {
-        type: 'state',
-        common,
-        native: {},
-      });
+    await this.setObjectNotExistsAsync(stateId, {
+      type: 'state',
+      common,
+      native: {},
+    });
 
-      const updateCommon = { ...common };
-      if (!datapoint.states) {
-        delete updateCommon.states;
-      }
-      if (typeof datapoint.min !== 'number') {
-        delete updateCommon.min;
-      }
-      if (typeof datapoint.max !== 'number') {
-        delete updateCommon.max;
-      }
-      if (typeof datapoint.step !== 'number') {
-        delete updateCommon.step;
-      }
-      await this.extendObjectAsync(stateId, { common: updateCommon });
-      await this._normalizeStateBoundaries(stateId, datapoint);
+    const updateCommon = { ...common };
+    if (!datapoint.states) {
+      delete updateCommon.states;
+    }
+    if (typeof datapoint.min !== 'number') {
+      delete updateCommon.min;
+    }
+    if (typeof datapoint.max !== 'number') {
+      delete updateCommon.max;
+    }
+    if (typeof datapoint.step !== 'number') {
+      delete updateCommon.step;
+    }
+    await this.extendObjectAsync(stateId, { common: updateCommon });
+    await this._normalizeStateBoundaries(stateId, datapoint);
 
-      const existingState = await this.getStateAsync(stateId);
-      if (!existingState) {
-        await this.setStateAsync(stateId, { val: null, ack: true });
-      }
+    const existingState = await this.getStateAsync(stateId);
+    if (!existingState) {
+      await this.setStateAsync(stateId, { val: null, ack: true });
     }
   }
 
@@ -480,9 +1223,11 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
     }
   }
 
-  async _handleCommandState(stateId, rawValue) {
-    if (!this.bridge) {
-      this.log.warn('Ignoring command because bridge is not connected yet');
+  async _handleCommandState(unit, stateId, rawValue) {
+    const log = this._createUnitLogger(unit);
+
+    if (!unit.bridge) {
+      log.warn('Ignoring command because bridge is not connected yet');
       return;
     }
 
@@ -500,22 +1245,22 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       try {
         parsedValue = JSON.parse(normalizedJson);
       } catch (error) {
-        this.log.error(`Failed to parse JSON command: ${this._formatError(error)}`);
+        log.error(`Failed to parse JSON command: ${this._formatError(error)}`);
         this.setState(stateId, { val: rawValue, ack: true, q: 0x21 });
         return;
       }
     }
 
     if (!parsedValue || typeof parsedValue !== 'object' || Array.isArray(parsedValue)) {
-      this.log.error('JSON command must be an object with key/value pairs');
+      log.error('JSON command must be an object with key/value pairs');
       this.setState(stateId, { val: rawValue, ack: true, q: 0x21 });
       return;
     }
 
     try {
-      const updates = await this.bridge.sendCommand(parsedValue);
+      const updates = await unit.bridge.sendCommand(parsedValue);
       if (updates && typeof updates === 'object' && Object.keys(updates).length > 0) {
-        await this._applyStatusUpdate(updates);
+        await this._applyStatusUpdate(unit, updates);
       }
 
       await this.setStateAsync(stateId, {
@@ -523,40 +1268,42 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
         ack: true,
       });
     } catch (error) {
-      this.log.error(`Failed to execute JSON command: ${this._formatError(error)}`);
+      log.error(`Failed to execute JSON command: ${this._formatError(error)}`);
       this.setState(stateId, { val: rawValue, ack: true, q: 0x21 });
     }
   }
 
-  _startPolling() {
-    this._clearPolling();
-    const pollingConfig = this._buildPollingConfig().filter((config) => config.enabled);
+  _startPolling(unit) {
+    const log = this._createUnitLogger(unit);
+
+    this._clearPolling(unit);
+    const pollingConfig = this._buildPollingConfig(unit).filter((config) => config.enabled);
     if (pollingConfig.length === 0) {
-      this.log.debug('No polling requests enabled; skipping scheduled commands');
+      log.debug('No polling requests enabled; skipping scheduled commands');
       return;
     }
 
     for (const config of pollingConfig) {
       const method = POLLING_METHOD_MAP.get(config.id);
       if (!method) {
-        this.log.debug(`Ignoring unknown polling request ${config.id}`);
+        log.debug(`Ignoring unknown polling request ${config.id}`);
         continue;
       }
 
       const intervalMs = Math.max(config.interval, 5) * 1000;
-      this.log.debug(`Scheduling ${config.id} polling every ${intervalMs} ms`);
-      const handler = () => this._executePolling(config.id);
+      log.debug(`Scheduling ${config.id} polling every ${intervalMs} ms`);
+      const handler = () => this._executePolling(unit, config.id);
       const timer = setInterval(handler, intervalMs);
-      this.pollTimers.set(config.id, timer);
+      unit.pollTimers.set(config.id, timer);
       handler();
     }
   }
 
-  _clearPolling() {
-    for (const timer of this.pollTimers.values()) {
+  _clearPolling(unit) {
+    for (const timer of unit.pollTimers.values()) {
       clearInterval(timer);
     }
-    this.pollTimers.clear();
+    unit.pollTimers.clear();
   }
 
   _shouldRestartOnError() {
@@ -610,24 +1357,71 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
     return true;
   }
 
-  _executePolling(methodId) {
+  _clearUnitRestartTimer(unit) {
+    if (unit.restartTimer) {
+      this.clearTimeout(unit.restartTimer);
+      unit.restartTimer = null;
+    }
+  }
+
+  // Only the connection of the affected unit is restarted, the other units keep running
+  _scheduleUnitRestart(unit, reason) {
+    if (!this._shouldRestartOnError() || this._terminating) {
+      return false;
+    }
+
+    const log = this._createUnitLogger(unit);
+    if (unit.restartTimer) {
+      log.debug('Connection restart already scheduled; keeping existing timer active.');
+      return true;
+    }
+
+    const intervalSeconds = this._getRestartIntervalSeconds();
+    log.warn(
+      `Restarting connection in ${intervalSeconds} seconds due to connection problems (${reason}).`
+    );
+
+    unit.restartTimer = this.setTimeout(() => {
+      unit.restartTimer = null;
+      if (this._terminating || unit.connected) {
+        return;
+      }
+      log.warn('Restarting connection now due to persistent connection problems.');
+      this._restartUnit(unit, log).catch((error) => {
+        log.error(`Failed to restart connection: ${this._formatError(error)}`);
+      });
+    }, intervalSeconds * 1000);
+
+    return true;
+  }
+
+  async _restartUnit(unit, log) {
+    this._clearPolling(unit);
+    await unit.bridge.disconnect();
+    await this._connectUnit(unit, log);
+  }
+
+  _executePolling(unit, methodId) {
     switch (methodId) {
       case 'getStatus':
-        this._pollStatus();
+        this._pollStatus(unit);
         break;
       case 'getCapabilities':
-        this._pollCapabilities();
+        this._pollCapabilities(unit);
         break;
       case 'getPowerUsage':
-        this._pollPowerUsage();
+        this._pollPowerUsage(unit);
+        break;
+      case 'getProperties':
+        this._pollProperties(unit);
         break;
       default:
-        this.log.debug(`No polling handler registered for ${methodId}`);
+        this._createUnitLogger(unit).debug(`No polling handler registered for ${methodId}`);
     }
   }
 
-  _buildPollingConfig() {
-    const defaultInterval = Number(this.config.pollingInterval) || 60;
+  _buildPollingConfig(unit) {
+    const defaultInterval = unit.pollingInterval || Number(this.config.pollingInterval) || 60;
     const entries = this._getPollingEntries();
     const map = new Map();
     for (const entry of entries) {
@@ -802,12 +1596,189 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       changed = true;
     }
 
+    const normalizedMaxReconnectInterval = normalizeInteger(
+      this.config.maxReconnectInterval,
+      Math.max(300, this.config.reconnectInterval),
+      this.config.reconnectInterval,
+      3600
+    );
+    if (normalizedMaxReconnectInterval !== this.config.maxReconnectInterval) {
+      this.config.maxReconnectInterval = normalizedMaxReconnectInterval;
+      changed = true;
+    }
+
+    const normalizedWatchdogTimeouts = normalizeInteger(this.config.watchdogTimeouts, 5, 0, 100);
+    if (normalizedWatchdogTimeouts !== this.config.watchdogTimeouts) {
+      this.config.watchdogTimeouts = normalizedWatchdogTimeouts;
+      changed = true;
+    }
+
     const normalizedRestartInterval = normalizeInteger(this.config.restartInterval, 300, 30, 86400);
     if (normalizedRestartInterval !== this.config.restartInterval) {
       this.config.restartInterval = normalizedRestartInterval;
       changed = true;
     }
 
+    const normalizedMaxQueueDepth = normalizeInteger(this.config.maxQueueDepth, 16, 1, 100);
+    if (normalizedMaxQueueDepth !== this.config.maxQueueDepth) {
+      this.config.maxQueueDepth = normalizedMaxQueueDepth;
+      changed = true;
+    }
+
+    if (!QUEUE_DROP_POLICIES.includes(this.config.queueDropPolicy)) {
+      this.config.queueDropPolicy = 'rejectNew';
+      changed = true;
+    }
+
+    if (!UNSUPPORTED_DATAPOINT_POLICIES.includes(this.config.unsupportedDatapoints)) {
+      this.config.unsupportedDatapoints = 'hide';
+      changed = true;
+    }
+
+    if (this.config.sleepCurve && !SLEEP_CURVE_PRESETS[this.config.sleepCurve]) {
+      this.config.sleepCurve = '';
+      changed = true;
+    }
+
+    if (!COMMUNICATION_METHODS.includes(this.config.communicationMethod)) {
+      this.config.communicationMethod = 'serialbridge';
+      changed = true;
+    }
+
+    if (typeof this.config.path !== 'string') {
+      this.config.path = '';
+      changed = true;
+    } else if (this.config.path.trim() !== this.config.path) {
+      this.config.path = this.config.path.trim();
+      changed = true;
+    }
+
+    if (typeof this.config.replayFile !== 'string') {
+      this.config.replayFile = '';
+      changed = true;
+    } else if (this.config.replayFile.trim() !== this.config.replayFile) {
+      this.config.replayFile = this.config.replayFile.trim();
+      changed = true;
+    }
+
+    if (typeof this.config.rfc2217 !== 'boolean') {
+      this.config.rfc2217 = normalizeBooleanValue(this.config.rfc2217);
+      changed = true;
+    }
+
+    const normalizedProxyPort = normalizeInteger(this.config.proxyPort, 0, 0, 65535);
+    if (normalizedProxyPort !== this.config.proxyPort) {
+      this.config.proxyPort = normalizedProxyPort;
+      changed = true;
+    }
+
+    const proxyBind =
+      typeof this.config.proxyBind === 'string' && this.config.proxyBind.trim()
+        ? this.config.proxyBind.trim()
+        : '127.0.0.1';
+    if (proxyBind !== this.config.proxyBind) {
+      this.config.proxyBind = proxyBind;
+      changed = true;
+    }
+
+    const followMeState =
+      typeof this.config.followMeState === 'string' ? this.config.followMeState.trim() : '';
+    if (followMeState !== this.config.followMeState) {
+      this.config.followMeState = followMeState;
+      changed = true;
+    }
+
+    const normalizedFollowMeInterval = normalizeInteger(this.config.followMeInterval, 60, 10, 3600);
+    if (normalizedFollowMeInterval !== this.config.followMeInterval) {
+      this.config.followMeInterval = normalizedFollowMeInterval;
+      changed = true;
+    }
+
+    const normalizedFollowMeTimeout = normalizeInteger(this.config.followMeTimeout, 600, 60, 86400);
+    if (normalizedFollowMeTimeout !== this.config.followMeTimeout) {
+      this.config.followMeTimeout = normalizedFollowMeTimeout;
+      changed = true;
+    }
+
+    if (typeof this.config.tls !== 'boolean') {
+      this.config.tls = normalizeBooleanValue(this.config.tls);
+      changed = true;
+    }
+
+    if (typeof this.config.tlsVerifyServerName !== 'boolean') {
+      this.config.tlsVerifyServerName =
+        this.config.tlsVerifyServerName === undefined
+          ? true
+          : normalizeBooleanValue(this.config.tlsVerifyServerName);
+      changed = true;
+    }
+
+    for (const key of ['tlsCa', 'tlsCert', 'tlsKey']) {
+      const value = typeof this.config[key] === 'string' ? this.config[key].trim() : '';
+      if (value !== this.config[key]) {
+        this.config[key] = value;
+        changed = true;
+      }
+    }
+
+    if (!PARITIES.includes(this.config.parity)) {
+      this.config.parity = 'none';
+      changed = true;
+    }
+
+    const normalizedStopBits = Number(this.config.stopBits);
+    if (!STOP_BITS.includes(normalizedStopBits)) {
+      this.config.stopBits = 1;
+      changed = true;
+    } else if (normalizedStopBits !== this.config.stopBits) {
+      this.config.stopBits = normalizedStopBits;
+      changed = true;
+    }
+
+    // Credentials of the encrypted LAN connection (sk103), the device ID may be entered as a number
+    for (const key of ['deviceId', 'key', 'token']) {
+      const value = this.config[key] == null ? '' : String(this.config[key]).trim();
+      if (value !== this.config[key]) {
+        this.config[key] = value;
+        changed = true;
+      }
+    }
+
+    const normalizedBaudRate = normalizeInteger(this.config.baudRate, 9600, 1200, 115200);
+    if (normalizedBaudRate !== this.config.baudRate) {
+      this.config.baudRate = normalizedBaudRate;
+      changed = true;
+    }
+
+    const devices = Array.isArray(this.config.devices) ? this.config.devices : [];
+    const normalizedDevices = devices
+      .filter((device) => device && typeof device === 'object')
+      .map((device) => ({
+        ...device,
+        name: typeof device.name === 'string' ? device.name.trim() : '',
+        communicationMethod: COMMUNICATION_METHODS.includes(device.communicationMethod)
+          ? device.communicationMethod
+          : 'serialbridge',
+        host: typeof device.host === 'string' ? device.host.trim() : '',
+        path: typeof device.path === 'string' ? device.path.trim() : '',
+        replayFile: typeof device.replayFile === 'string' ? device.replayFile.trim() : '',
+        port: normalizeInteger(device.port, 23, 1, 65535),
+        rfc2217: normalizeBooleanValue(device.rfc2217),
+        tls: normalizeBooleanValue(device.tls),
+        deviceId: device.deviceId == null ? '' : String(device.deviceId).trim(),
+        // Encrypted by the admin, they are trimmed once decrypted
+        key: typeof device.key === 'string' ? device.key : '',
+        token: typeof device.token === 'string' ? device.token : '',
+        beep: device.beep === undefined ? true : normalizeBooleanValue(device.beep),
+        pollingInterval: normalizeInteger(device.pollingInterval, 0, 0, 3600),
+        proxyPort: normalizeInteger(device.proxyPort, 0, 0, 65535),
+        followMeState: typeof device.followMeState === 'string' ? device.followMeState.trim() : '',
+      }));
+    if (!isDeepStrictEqual(normalizedDevices, this.config.devices)) {
+      this.config.devices = normalizedDevices;
+      changed = true;
+    }
+
     const pollingIsObject = this.config.polling && typeof this.config.polling === 'object';
     const existingRequests =
       pollingIsObject && Array.isArray(this.config.polling.requests)
@@ -945,46 +1916,83 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
         return;
       }
 
-      adapterObject.native = deepClone(normalizedConfig);
+      const native = deepClone(normalizedConfig);
+      for (const key of ENCRYPTED_NATIVE) {
+        if (Object.prototype.hasOwnProperty.call(adapterObject.native || {}, key)) {
+          native[key] = adapterObject.native[key];
+        }
+      }
+      adapterObject.native = native;
       await this.setForeignObjectAsync(objectId, adapterObject);
     } catch (error) {
       this.log.warn(`Failed to persist normalized config: ${error.message}`);
     }
   }
 
-  async _pollStatus() {
-    if (!this.bridge || !this.bridge.connected) {
+  async _pollStatus(unit) {
+    if (!unit.bridge || !unit.bridge.connected) {
+      return;
+    }
+
+    try {
+      await unit.bridge.getStatus();
+    } catch (error) {
+      this._createUnitLogger(unit).warn(`Polling status failed: ${error.message}`);
+    }
+  }
+
+  async _pollCapabilities(unit) {
+    if (!unit.bridge || !unit.bridge.connected) {
       return;
     }
 
     try {
-      await this.bridge.getStatus();
+      await unit.bridge.getCapabilities();
     } catch (error) {
-      this.log.warn(`Polling status failed: ${error.message}`);
+      this._createUnitLogger(unit).warn(`Polling capabilities failed: ${error.message}`);
     }
   }
 
-  async _pollCapabilities() {
-    if (!this.bridge || !this.bridge.connected) {
+  async _pollPowerUsage(unit) {
+    if (!unit.bridge || !unit.bridge.connected) {
       return;
     }
 
     try {
-      await this.bridge.getCapabilities();
+      await unit.bridge.getPowerUsage();
+    } catch (error) {
+      this._createUnitLogger(unit).warn(`Polling power usage failed: ${error.message}`);
+    }
+  }
+
+  // The preset of the configuration applies as long as `control.sleepCurve` is empty
+  async _resolveSleepCurve(unit) {
+    const stateId = `${unit.prefix}control.sleepCurve`;
+    const state = await this.getStateAsync(stateId);
+    const preset = SLEEP_CURVE_PRESETS[this.config.sleepCurve];
+
+    if ((!state || !state.val) && preset) {
+      await this.setStateAsync(stateId, { val: JSON.stringify(preset), ack: true });
+      return preset;
+    }
+
+    try {
+      return parseSleepCurve(state ? state.val : '');
     } catch (error) {
-      this.log.warn(`Polling capabilities failed: ${error.message}`);
+      this._createUnitLogger(unit).warn(`Ignoring sleep curve: ${error.message}`);
+      return [];
     }
   }
 
-  async _pollPowerUsage() {
-    if (!this.bridge || !this.bridge.connected) {
+  async _pollProperties(unit) {
+    if (!unit.bridge || !unit.bridge.connected) {
       return;
     }
 
     try {
-      await this.bridge.getPowerUsage();
+      await unit.bridge.getProperties();
     } catch (error) {
-      this.log.warn(`Polling power usage failed: ${error.message}`);
+      this._createUnitLogger(unit).warn(`Polling properties failed: ${error.message}`);
     }
   }
 
@@ -1007,7 +2015,7 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
     }
   }
 
-  async _applyStatusUpdate(status, rawStatus) {
+  async _applyStatusUpdate(unit, status, rawStatus) {
     const entries = this._extractStatusEntries(status);
     if (!entries || entries.length === 0) {
       return;
@@ -1016,7 +2024,7 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
     if (this.config && this.config.exposeRawStatus) {
       const rawEntries = this._extractStatusEntries(rawStatus) || (!rawStatus ? entries : null);
       if (rawEntries && rawEntries.length > 0) {
-        await this._applyRawStatus(rawEntries);
+        await this._applyRawStatus(unit, rawEntries);
       }
     }
 
@@ -1026,9 +2034,20 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       }
 
       const datapoint = this.datapointById.get(datapointId);
+      if (datapoint.capability && !unit.capabilityDatapoints.has(datapointId)) {
+        continue;
+      }
+      if (datapointId === 'temperatureUnit' && value !== unit.temperatureUnit) {
+        unit.temperatureUnit = value;
+        await this._applyTemperatureLimits(unit);
+      }
+      if (datapointId === 'mode' && this._normalizeEnumName('mode', value) !== unit.mode) {
+        unit.mode = this._normalizeEnumName('mode', value);
+        await this._applyTemperatureLimits(unit);
+      }
       const normalized = this._normalizeReadValue(datapoint, value);
       try {
-        await this.setStateAsync(`${datapoint.channel}.${datapoint.id}`, {
+        await this.setStateAsync(`${unit.prefix}${datapoint.channel}.${datapoint.id}`, {
           val: normalized,
           ack: true,
         });
@@ -1040,7 +2059,7 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
     }
   }
 
-  async _applyRawStatus(entries) {
+  async _applyRawStatus(unit, entries) {
     if (!Array.isArray(entries) || entries.length === 0) {
       return;
     }
@@ -1057,21 +2076,24 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
         }
 
         const { value: normalizedValue, type, role } = normalized;
-        await this._ensureRawStatusState(key, type, role);
-        await this.setStateAsync(`statusRaw.${key}`, { val: normalizedValue, ack: true });
+        await this._ensureRawStatusState(unit, key, type, role);
+        await this.setStateAsync(`${unit.prefix}statusRaw.${key}`, {
+          val: normalizedValue,
+          ack: true,
+        });
       } catch (error) {
         this.log.debug(`Failed to update raw status ${key}: ${this._formatError(error)}`);
       }
     }
   }
 
-  async _applyCapabilities(capabilities) {
+  async _applyCapabilities(unit, capabilities) {
     if (!capabilities || typeof capabilities !== 'object') {
       return;
     }
 
     try {
-      await this.setStateAsync('capabilities.raw', {
+      await this.setStateAsync(`${unit.prefix}capabilities.raw`, {
         val: JSON.stringify(capabilities),
         ack: true,
       });
@@ -1081,15 +2103,179 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
 
     for (const [key, value] of Object.entries(capabilities)) {
       try {
-        await this._ensureCapabilityState(key, value);
-        await this.setStateAsync(`capabilities.${key}`, { val: value, ack: true });
+        await this._ensureCapabilityState(unit, key, value);
+        await this.setStateAsync(`${unit.prefix}capabilities.${key}`, { val: value, ack: true });
       } catch (error) {
         this.log.debug(`Failed to update capability ${key}: ${this._formatError(error)}`);
       }
     }
+
+    // Without an answer nothing is known about the capabilities of the unit
+    if (this.config.unsupportedDatapoints !== 'create' && Object.keys(capabilities).length > 0) {
+      await this._applySupportedDatapoints(unit, capabilities);
+    }
+
+    await this._applyTemperatureLimits(unit);
+  }
+
+  // Datapoints of unreported capabilities are hidden or deleted, enum values are narrowed
+  async _applySupportedDatapoints(unit, capabilities) {
+    for (const datapoint of this.datapoints) {
+      if (!datapoint.capability) {
+        continue;
+      }
+
+      const stateId = `${unit.prefix}${datapoint.channel}.${datapoint.id}`;
+      if (!this._isDatapointSupported(datapoint, capabilities)) {
+        unit.capabilityDatapoints.delete(datapoint.id);
+        await this._removeUnsupportedDatapoint(stateId).catch((error) => {
+          this.log.debug(`Failed to remove datapoint ${datapoint.id}: ${this._formatError(error)}`);
+        });
+        continue;
+      }
+
+      try {
+        if (!unit.capabilityDatapoints.has(datapoint.id)) {
+          await this._ensureDatapointObject(unit.prefix, datapoint);
+          unit.capabilityDatapoints.add(datapoint.id);
+
+          // The status may have been received before the capabilities
+          const value = unit.bridge ? unit.bridge.statusCache[datapoint.id] : undefined;
+          if (value !== undefined) {
+            await this.setStateAsync(stateId, {
+              val: this._normalizeReadValue(datapoint, value),
+              ack: true,
+            });
+          }
+        }
+        // Hidden by an earlier answer of the unit
+        await this._setExpert(stateId, false);
+      } catch (error) {
+        this.log.debug(`Failed to create datapoint ${datapoint.id}: ${this._formatError(error)}`);
+      }
+    }
+
+    for (const [datapointId, supported] of Object.entries(this._supportedValues(capabilities))) {
+      const datapoint = this.datapointById.get(datapointId);
+      if (datapoint.capability && !unit.capabilityDatapoints.has(datapointId)) {
+        continue;
+      }
+      await this._narrowStates(
+        `${unit.prefix}${datapoint.channel}.${datapointId}`,
+        datapoint,
+        supported
+      ).catch((error) => {
+        this.log.debug(`Failed to narrow values of ${datapointId}: ${this._formatError(error)}`);
+      });
+    }
+  }
+
+  // One of the capabilities of the datapoint is enough
+  _isDatapointSupported(datapoint, capabilities) {
+    return [].concat(datapoint.capability).some((capability) => !!capabilities[capability]);
+  }
+
+  // Existing states of unsupported datapoints are only shown in expert mode or deleted
+  async _removeUnsupportedDatapoint(stateId) {
+    if (this.config.unsupportedDatapoints === 'delete') {
+      const object = await this.getObjectAsync(stateId);
+      if (object) {
+        await this.delObjectAsync(stateId);
+      }
+      return;
+    }
+
+    await this._setExpert(stateId, true);
+  }
+
+  async _setExpert(stateId, expert) {
+    const object = await this.getObjectAsync(stateId);
+    if (object && object.common && !!object.common.expert !== expert) {
+      await this.extendObjectAsync(stateId, { common: { expert } });
+    }
+  }
+
+  // Modes are only narrowed when the unit reports them, custom dry requires dry
+  _supportedValues(capabilities) {
+    const supported = {};
+
+    const modes = { auto: 'autoMode', cool: 'coolMode', dry: 'dryMode', heat: 'heatMode' };
+    if (Object.values(modes).some((capability) => capabilities[capability])) {
+      modes.customdry = 'dryMode';
+      supported.mode = (name) => !modes[name] || !!capabilities[modes[name]];
+    }
+
+    if (capabilities.fanSpeedControl === false) {
+      supported.fanSpeed = (name) => name === 'auto';
+    }
+
+    const swing = {
+      vertical: capabilities.updownFan,
+      horizontal: capabilities.leftrightFan,
+      both: capabilities.updownFan && capabilities.leftrightFan,
+    };
+    supported.swingMode = (name) => name === 'off' || !!swing[name];
+
+    return supported;
+  }
+
+  // The states are replaced as a whole, extending the object would merge them
+  async _narrowStates(stateId, datapoint, supported) {
+    const object = await this.getObjectAsync(stateId);
+    if (!object || !object.common || !datapoint.states) {
+      return;
+    }
+
+    const states = {};
+    for (const [value, name] of Object.entries(datapoint.states)) {
+      // The numeric representation of the mode has a legacy value, e.g. 'auto (legacy)'
+      if (supported(String(name).split(' ')[0])) {
+        states[value] = name;
+      }
+    }
+
+    if (!isDeepStrictEqual(states, object.common.states)) {
+      await this.setObjectAsync(stateId, { ...object, common: { ...object.common, states } });
+    }
+  }
+
+  // Setpoint range of the active mode in the displayed unit, half degrees need decimals
+  _temperatureLimits(unit) {
+    const capabilities = (unit.bridge && unit.bridge.capabilitiesCache) || {};
+    const range = { cool: 'Cool', heat: 'Heat' }[unit.mode] || 'Auto';
+    const min = Math.max(SETPOINT_RANGE_CELSIUS.min, capabilities[`minTemp${range}`] || 0);
+    const max = Math.min(SETPOINT_RANGE_CELSIUS.max, capabilities[`maxTemp${range}`] || Infinity);
+
+    if (unit.temperatureUnit === 'fahrenheit') {
+      return {
+        min: Math.max(SETPOINT_RANGE_FAHRENHEIT.min, Math.round(min * 1.8 + 32)),
+        max: Math.min(SETPOINT_RANGE_FAHRENHEIT.max, Math.round(max * 1.8 + 32)),
+        step: 1,
+        unit: '°F',
+      };
+    }
+
+    return { min, max, step: capabilities.decimals ? 0.5 : 1, unit: '°C' };
+  }
+
+  async _applyTemperatureLimits(unit) {
+    const limits = this._temperatureLimits(unit);
+    if (isDeepStrictEqual(limits, unit.temperatureLimits)) {
+      return;
+    }
+
+    const datapoint = this.datapointById.get('targetTemperature');
+    try {
+      await this.extendObjectAsync(`${unit.prefix}${datapoint.channel}.${datapoint.id}`, {
+        common: limits,
+      });
+      unit.temperatureLimits = limits;
+    } catch (error) {
+      this.log.debug(`Failed to update setpoint limits: ${this._formatError(error)}`);
+    }
   }
 
-  async _applyPowerUsage(usage) {
+  async _applyPowerUsage(unit, usage) {
     if (!usage || typeof usage !== 'object') {
       return;
     }
@@ -1099,9 +2285,12 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
     }
 
     const datapoint = this.datapointById.get('powerUsage');
+    if (datapoint.capability && !unit.capabilityDatapoints.has(datapoint.id)) {
+      return;
+    }
     const normalized = this._normalizeReadValue(datapoint, usage.powerUsage);
     try {
-      await this.setStateAsync(`${datapoint.channel}.${datapoint.id}`, {
+      await this.setStateAsync(`${unit.prefix}${datapoint.channel}.${datapoint.id}`, {
         val: normalized,
         ack: true,
       });
@@ -1110,12 +2299,90 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
     }
   }
 
-  async _ensureRawStatusState(key, type, role) {
-    if (this._knownRawStatusStates.has(key)) {
+  async _applyLinkHealth(unit, health) {
+    if (!health || typeof health !== 'object') {
+      return;
+    }
+
+    // The unit is only connected when the indoor unit answers through the bridge
+    unit.connected = !!(health.connected && health.responding);
+    this._updateInstanceConnection();
+
+    await this.setStateChangedAsync(`${unit.prefix}info.bridgeConnected`, {
+      val: !!health.connected,
+      ack: true,
+    });
+    await this.setStateChangedAsync(`${unit.prefix}info.unitResponding`, {
+      val: !!health.responding,
+      ack: true,
+    });
+    await this.setStateChangedAsync(`${unit.prefix}info.consecutiveTimeouts`, {
+      val: Number(health.consecutiveTimeouts) || 0,
+      ack: true,
+    });
+    await this.setStateChangedAsync(`${unit.prefix}info.connection`, {
+      val: unit.connected,
+      ack: true,
+    });
+    if (unit.connected) {
+      await this.setStateChangedAsync(`${unit.prefix}info.reconnectAttempts`, {
+        val: 0,
+        ack: true,
+      });
+    }
+  }
+
+  async _applyReconnect(unit, reconnect) {
+    if (!reconnect || typeof reconnect !== 'object') {
+      return;
+    }
+
+    await this.setStateChangedAsync(`${unit.prefix}info.reconnectAttempts`, {
+      val: reconnect.attempt,
+      ack: true,
+    });
+    await this.setStateChangedAsync(`${unit.prefix}info.nextReconnect`, {
+      val: reconnect.nextAttempt,
+      ack: true,
+    });
+    if (reconnect.reason) {
+      await this.setStateChangedAsync(`${unit.prefix}info.lastError`, {
+        val: reconnect.reason,
+        ack: true,
+      });
+    }
+  }
+
+  async _applyFrameStatistics(unit, statistics) {
+    if (!statistics || typeof statistics !== 'object') {
+      return;
+    }
+
+    for (const statistic of FRAME_STATISTICS) {
+      const value = Number(statistics[statistic.id]);
+      if (!Number.isFinite(value)) {
+        continue;
+      }
+
+      try {
+        await this.setStateChangedAsync(`${unit.prefix}info.frames.${statistic.id}`, {
+          val: value,
+          ack: true,
+        });
+      } catch (error) {
+        this.log.debug(
+          `Failed to update frame statistic ${statistic.id}: ${this._formatError(error)}`
+        );
+      }
+    }
+  }
+
+  async _ensureRawStatusState(unit, key, type, role) {
+    if (unit.knownRawStatusStates.has(key)) {
       return;
     }
 
-    await this.setObjectNotExistsAsync(`statusRaw.${key}`, {
+    await this.setObjectNotExistsAsync(`${unit.prefix}statusRaw.${key}`, {
       type: 'state',
       common: {
         name: key,
@@ -1127,7 +2394,7 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       native: {},
     });
 
-    this._knownRawStatusStates.add(key);
+    unit.knownRawStatusStates.add(key);
   }
 
   _normalizeRawStatusValue(value) {
@@ -1168,8 +2435,8 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
     return { value: String(value), type: 'string', role: 'text' };
   }
 
-  async _ensureCapabilityState(key, value) {
-    if (this._knownCapabilityStates.has(key)) {
+  async _ensureCapabilityState(unit, key, value) {
+    if (unit.knownCapabilityStates.has(key)) {
       return;
     }
 
@@ -1185,7 +2452,7 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       role = 'value';
     }
 
-    await this.setObjectNotExistsAsync(`capabilities.${key}`, {
+    await this.setObjectNotExistsAsync(`${unit.prefix}capabilities.${key}`, {
       type: 'state',
       common: {
         name: key,
@@ -1197,7 +2464,7 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       native: {},
     });
 
-    this._knownCapabilityStates.add(key);
+    unit.knownCapabilityStates.add(key);
   }
 
   _getPollingEntries() {
@@ -1210,7 +2477,8 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
     return [];
   }
 
-  _normalizeWriteValue(datapoint, value) {
+  // Values are clamped to the range of the datapoint, but rejected outside the given limits
+  _normalizeWriteValue(datapoint, value, limits) {
     if (['mode', 'fanSpeed', 'swingMode'].includes(datapoint.id)) {
       return this._normalizeEnumWriteValue(datapoint.id, value);
     }
@@ -1227,12 +2495,21 @@ class MideaSerialBridgeAdapter extends utils.Adapter {
       if (Number.isNaN(parsed)) {
         throw new Error(`Invalid numeric value ${value}`);
       }
+      const boundaries = limits || datapoint;
       let normalized = parsed;
-      if (typeof datapoint.min === 'number' && normalized < datapoint.min) {
-        normalized = datapoint.min;
+      if (typeof boundaries.step === 'number' && boundaries.step > 0) {
+        normalized = Math.round(normalized / boundaries.step) * boundaries.step;
+      }
+      if (limits && (normalized < limits.min || normalized > limits.max)) {
+        throw new OutOfRangeError(
+          `The ${datapoint.id} must be between ${limits.min} - ${limits.max}${limits.unit || ''}`
+        );
+      }
+      if (typeof boundaries.min === 'number' && normalized < boundaries.min) {
+        normalized = boundaries.min;
       }
-      if (typeof datapoint.max === 'number' && normalized > datapoint.max) {
-        normalized = datapoint.max;
+      if (typeof boundaries.max === 'number' && normalized > boundaries.max) {
+        normalized = boundaries.max;
       }
       return normalized;
     }
@@ -0,0 +1,182 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { MideaSerialBridge } = require('../lib/midea-serial-bridge');
+const { createEmulator } = require('../lib/node-mideahvac');
+const { log } = require('./lib/helpers');
+
+describe('MideaSerialBridge with the emulated indoor unit', () => {
+  let emulator;
+  let bridge;
+
+  before(async () => {
+    emulator = createEmulator({
+      status: {
+        powerOn: true,
+        mode: 4,
+        temperatureSetpoint: 22,
+        fanSpeed: 40,
+        updownFan: true,
+        leftrightFan: true,
+        ecoMode: true,
+        indoorTemperature: 21.5,
+        outdoorTemperature: 8,
+      },
+    });
+    const port = await emulator.start();
+
+    bridge = new MideaSerialBridge({ host: '127.0.0.1', port, log });
+    await bridge.connect();
+  });
+
+  after(async () => {
+    await bridge.disconnect();
+    await emulator.stop();
+  });
+
+  it('maps the status of the unit to the datapoints', () => {
+    assert.equal(bridge.initialized, true);
+    assert.deepEqual(
+      {
+        power: bridge.statusCache.power,
+        mode: bridge.statusCache.mode,
+        targetTemperature: bridge.statusCache.targetTemperature,
+        fanSpeed: bridge.statusCache.fanSpeed,
+        swingMode: bridge.statusCache.swingMode,
+        ecoMode: bridge.statusCache.ecoMode,
+        indoorTemperature: bridge.statusCache.indoorTemperature,
+        outdoorTemperature: bridge.statusCache.outdoorTemperature,
+        temperatureUnit: bridge.statusCache.temperatureUnit,
+      },
+      {
+        power: true,
+        mode: 'heat',
+        targetTemperature: 22,
+        fanSpeed: 'low',
+        swingMode: 'both',
+        ecoMode: true,
+        indoorTemperature: 21.5,
+        outdoorTemperature: 8,
+        temperatureUnit: 'celsius',
+      }
+    );
+  });
+
+  it('reads the capabilities of the unit', () => {
+    assert.equal(bridge.capabilitiesCache.heatMode, true);
+    assert.equal(bridge.capabilitiesCache.minTempHeat, 16);
+  });
+
+  it('sets the target temperature and reads it back', async () => {
+    const updates = await bridge.set('targetTemperature', 26);
+
+    assert.equal(emulator.status.temperatureSetpoint, 26);
+    assert.equal(updates.targetTemperature, 26);
+
+    const status = await bridge.getStatus();
+    assert.equal(status.targetTemperature, 26);
+  });
+
+  it('sets the fan speed without changing the other settings', async () => {
+    const updates = await bridge.set('fanSpeed', 'high');
+
+    assert.equal(emulator.status.fanSpeed, 80);
+    assert.equal(updates.fanSpeed, 'high');
+    assert.equal(updates.mode, 'heat');
+    assert.equal(updates.targetTemperature, 26);
+  });
+
+  it('rejects half degrees the unit does not support', async () => {
+    await assert.rejects(bridge.set('targetTemperature', 21.5), { name: 'OutOfRangeError' });
+    assert.equal(emulator.status.temperatureSetpoint, 26);
+  });
+
+  for (const [hours, minutes, encoded] of [
+    [0, 30, [0x81, 0x00]],
+    [1, 0, [0x83, 0x00]],
+    [23, 59, [0xdf, 0x01]],
+  ]) {
+    it(`encodes an on timer of ${hours} h ${minutes} min`, async () => {
+      let request;
+      emulator.once('request', (frame) => (request = frame));
+
+      await bridge.sendCommand({ onTimer: true, onTimerHours: hours, onTimerMinutes: minutes });
+
+      // Hours and started quarter (byte 4), minutes before the end of the quarter (byte 6)
+      assert.deepEqual([request[14], request[16] >> 4], encoded);
+      assert.equal(bridge.statusCache.onTimerMinutes, hours * 60 + minutes);
+    });
+  }
+
+  it('switches follow-me through its own flag and always sets the control source', async () => {
+    const requests = [];
+    const onRequest = (frame) => requests.push(frame);
+    emulator.on('request', onRequest);
+
+    await bridge.sendFollowMe(20.5);
+    assert.equal(emulator.followMe, true);
+
+    await bridge.stopFollowMe();
+    assert.equal(emulator.followMe, false);
+    emulator.removeListener('request', onRequest);
+
+    const setStatus = requests.filter((frame) => frame[10] === 0x40);
+    assert.equal(setStatus.length, 2);
+    assert.ok(setStatus.every((frame) => (frame[11] & 0x02) === 0x02));
+    assert.deepEqual(
+      setStatus.map((frame) => frame[18] & 0x80),
+      [0x80, 0x00]
+    );
+  });
+
+  it('reassembles frames split by the bridge', async () => {
+    emulator.injectFault('split');
+
+    const status = await bridge.getStatus();
+    assert.equal(status.fanSpeed, 'high');
+  });
+});
+
+describe('MideaSerialBridge with an emulated indoor unit in Fahrenheit', () => {
+  let emulator;
+  let bridge;
+
+  before(async () => {
+    emulator = createEmulator({
+      status: { powerOn: true, mode: 2, temperatureSetpoint: 22, temperatureUnit: 1 },
+    });
+    const port = await emulator.start();
+
+    bridge = new MideaSerialBridge({ host: '127.0.0.1', port, log });
+    await bridge.connect();
+  });
+
+  after(async () => {
+    await bridge.disconnect();
+    await emulator.stop();
+  });
+
+  it('reports the target temperature in Fahrenheit', () => {
+    assert.equal(bridge.statusCache.temperatureUnit, 'fahrenheit');
+    assert.equal(bridge.statusCache.targetTemperature, 72);
+  });
+
+  it('sets the lowest setpoint of 60°F', async () => {
+    await bridge.set('targetTemperature', 60);
+
+    assert.equal(emulator.status.temperatureSetpoint, 16);
+  });
+
+  it('limits the setpoint to the range of the mode', async () => {
+    await bridge.set('targetTemperature', 86);
+    assert.equal(emulator.status.temperatureSetpoint, 30);
+
+    // 87°F is 30.5°C, above the maximum of 30°C of the cool mode
+    await assert.rejects(bridge.set('targetTemperature', 87), {
+      name: 'OutOfRangeError',
+      message: /between 16 - 30°C in the current mode/,
+    });
+    assert.equal(emulator.status.temperatureSetpoint, 30);
+  });
+});
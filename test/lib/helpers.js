@@ -0,0 +1,14 @@
+'use strict';
+
+// Logger of the adapter (see MideaSerialBridge), the tests only check the results
+const log = {
+  silly: () => {},
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+module.exports = {
+  log,
+};
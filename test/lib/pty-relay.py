@@ -0,0 +1,54 @@
+"""Pseudo-terminal pair relayed to a TCP port (e.g. of the emulator).
+
+Usage: python3 pty-relay.py <port>
+
+Prints the path of the terminal device, which is opened like the tty of an USB-TTL adapter,
+and passes the data between the terminal and the TCP connection until either side closes.
+"""
+
+import os
+import pty
+import selectors
+import socket
+import sys
+import tty
+
+
+def main():
+    port = int(sys.argv[1])
+
+    master, slave = pty.openpty()
+    # No echo or line discipline, the frames are binary
+    tty.setraw(slave)
+
+    unit = socket.create_connection(('127.0.0.1', port))
+
+    print(os.ttyname(slave), flush=True)
+
+    selector = selectors.DefaultSelector()
+    selector.register(master, selectors.EVENT_READ)
+    selector.register(unit, selectors.EVENT_READ)
+    selector.register(sys.stdin, selectors.EVENT_READ)
+
+    while True:
+        for key, _ in selector.select():
+            if key.fileobj is sys.stdin:
+                # The test closes stdin when it is done
+                if not sys.stdin.buffer.read1(1024):
+                    return
+            elif key.fileobj is unit:
+                data = unit.recv(1024)
+                if not data:
+                    return
+                os.write(master, data)
+            else:
+                try:
+                    data = os.read(master, 1024)
+                except OSError:
+                    # No process has the terminal open (yet)
+                    continue
+                unit.sendall(data)
+
+
+if __name__ == '__main__':
+    main()
@@ -0,0 +1,202 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const net = require('node:net');
+const { createEmulator } = require('../../lib/node-mideahvac');
+const Framer = require('../../lib/node-mideahvac/lib/framer');
+
+// The original Midea dongle always listens on this port (see sk103.js)
+const PORT = 6444;
+
+const MSGTYPE_HANDSHAKE_RESPONSE = 0x01;
+const MSGTYPE_ENCRYPTED_RESPONSE = 0x03;
+
+const SIGN_KEY = 'xhdiwjnchekd4d512chdjx5d8e4c394D2D7S';
+const SIGN_KEY_MD5 = crypto.createHash('md5').update(SIGN_KEY).digest();
+
+// Stand-in of an original Midea dongle (SK103, protocol V3) in the local network. It performs the
+// 8370 handshake with the token, derives the TCP key from the key and decrypts the requests. The
+// UART frames inside are passed to an emulated indoor unit, its responses are encrypted and
+// returned like the dongle does.
+class Sk103Device {
+  constructor(options = {}) {
+    this.key = Buffer.from(options.key || crypto.randomBytes(32));
+    this.token = Buffer.from(options.token || crypto.randomBytes(64));
+    this.emulator = createEmulator({ status: options.status });
+
+    // Device IDs received in the header of the requests
+    this.deviceIds = [];
+
+    this._server = null;
+    this._unit = null;
+    this._pending = null;
+  }
+
+  async start() {
+    const port = await this.emulator.start();
+
+    this._unit = net.createConnection(port, '127.0.0.1');
+    const framer = new Framer();
+    this._unit.on('data', (data) => framer.push(data));
+    framer.on('frame', (frame) => this._unitFrame(frame));
+    await new Promise((resolve) => this._unit.once('connect', resolve));
+
+    this._server = net.createServer((socket) => this._clientHandler(socket));
+    await new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(PORT, '127.0.0.1', resolve);
+    });
+  }
+
+  async stop() {
+    if (this._server) {
+      await new Promise((resolve) => this._server.close(resolve));
+      this._server = null;
+    }
+    if (this._unit) {
+      this._unit.destroy();
+      this._unit = null;
+    }
+    await this.emulator.stop();
+  }
+
+  _clientHandler(socket) {
+    let tcpKey = null;
+    let count = 0;
+
+    socket.on('error', () => {});
+    socket.on('data', (data) => {
+      if ((data[5] & 0x0f) === 0x00) {
+        tcpKey = this._handshake(socket, data);
+        return;
+      }
+
+      const packet = this._decrypt(data, tcpKey);
+      if (!packet) {
+        socket.destroy();
+        return;
+      }
+
+      this.deviceIds.push(
+        BigInt(`0x${Buffer.from(packet.subarray(20, 26)).reverse().toString('hex')}`).toString()
+      );
+
+      const decipher = crypto.createDecipheriv('aes-128-ecb', SIGN_KEY_MD5, null);
+      const frame = Buffer.concat([decipher.update(packet.subarray(40, -16)), decipher.final()]);
+
+      this._pending = (response) => {
+        socket.write(this._encrypt(this._wrap(response), tcpKey, count++));
+      };
+      this._unit.write(frame);
+    });
+  }
+
+  // Only the response to a request is returned, notifications of the unit are not passed on
+  _unitFrame(frame) {
+    if (this._pending) {
+      const pending = this._pending;
+      this._pending = null;
+      pending(frame);
+    }
+  }
+
+  // The token proves the client, the random data encrypted with the key becomes the TCP key
+  _handshake(socket, data) {
+    if (!data.subarray(8).equals(this.token)) {
+      socket.end('ERROR');
+      return null;
+    }
+
+    const random = crypto.randomBytes(32);
+    const cipher = crypto.createCipheriv('aes-256-cbc', this.key, Buffer.alloc(16));
+    cipher.setAutoPadding(false);
+    const payload = Buffer.concat([
+      cipher.update(random),
+      cipher.final(),
+      crypto.createHash('sha256').update(random).digest(),
+    ]);
+
+    socket.write(
+      this._frame(Buffer.concat([Buffer.alloc(2), payload]), MSGTYPE_HANDSHAKE_RESPONSE)
+    );
+
+    return Buffer.from(random.map((value, index) => value ^ this.key[index]));
+  }
+
+  // The packet of an encrypted request, when the signature and the checksum are valid
+  _decrypt(data, tcpKey) {
+    if (!tcpKey) {
+      return null;
+    }
+
+    const header = data.subarray(0, 6);
+    const decipher = crypto.createDecipheriv('aes-256-cbc', tcpKey, Buffer.alloc(16));
+    decipher.setAutoPadding(false);
+    let plain = Buffer.concat([decipher.update(data.subarray(6, -32)), decipher.final()]);
+
+    const sign = crypto
+      .createHash('sha256')
+      .update(Buffer.concat([header, plain]))
+      .digest();
+    if (!sign.equals(data.subarray(-32))) {
+      return null;
+    }
+
+    const padding = header[5] >> 4;
+    if (padding) {
+      plain = plain.subarray(0, -padding);
+    }
+
+    const packet = plain.subarray(2);
+    const checksum = crypto
+      .createHash('md5')
+      .update(Buffer.concat([packet.subarray(0, -16), Buffer.from(SIGN_KEY)]))
+      .digest();
+
+    return checksum.equals(packet.subarray(-16)) ? packet : null;
+  }
+
+  // A response packet with the encrypted UART frame and the checksum
+  _wrap(frame) {
+    const cipher = crypto.createCipheriv('aes-128-ecb', SIGN_KEY_MD5, null);
+    const packet = Buffer.concat([Buffer.alloc(40), cipher.update(frame), cipher.final()]);
+    packet[0] = 0x5a;
+    packet[1] = 0x5a;
+
+    return Buffer.concat([
+      packet,
+      crypto
+        .createHash('md5')
+        .update(Buffer.concat([packet, Buffer.from(SIGN_KEY)]))
+        .digest(),
+    ]);
+  }
+
+  _encrypt(packet, tcpKey, count) {
+    let body = Buffer.concat([Buffer.from([count >> 8, count & 0xff]), packet]);
+    const padding = body.length % 16 ? 16 - (body.length % 16) : 0;
+    body = Buffer.concat([body, Buffer.alloc(padding)]);
+
+    const header = this._header(body.length + 32 - 2, (padding << 4) | MSGTYPE_ENCRYPTED_RESPONSE);
+    const sign = crypto
+      .createHash('sha256')
+      .update(Buffer.concat([header, body]))
+      .digest();
+    const cipher = crypto.createCipheriv('aes-256-cbc', tcpKey, Buffer.alloc(16));
+    cipher.setAutoPadding(false);
+
+    return Buffer.concat([header, cipher.update(body), cipher.final(), sign]);
+  }
+
+  _frame(body, type) {
+    return Buffer.concat([this._header(body.length - 2, type), body]);
+  }
+
+  _header(size, type) {
+    return Buffer.from([0x83, 0x70, size >> 8, size & 0xff, 0x20, type]);
+  }
+}
+
+module.exports = {
+  Sk103Device,
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { after, before, describe, it } = require('node:test');
+const { MideaSerialBridge } = require('../lib/midea-serial-bridge');
+const { log } = require('./lib/helpers');
+
+// Protocol capture of a session with a unit in dry mode at 25°C, medium fan speed, vertical swing
+// and turbo: initialization, setting the target temperature to 21°C and a power usage query
+const CAPTURE = path.join(__dirname, 'fixtures', 'capture.jsonl');
+
+describe('MideaSerialBridge replaying a protocol capture', () => {
+  let bridge;
+  const statusData = [];
+
+  before(async () => {
+    bridge = new MideaSerialBridge({ communicationMethod: 'replay', replayFile: CAPTURE, log });
+    bridge.on('statusData', (values) => statusData.push(values));
+    await bridge.connect();
+  });
+
+  after(async () => {
+    await bridge.disconnect();
+  });
+
+  it('maps the recorded status', () => {
+    const status = statusData[statusData.length - 1];
+    assert.deepEqual(
+      {
+        power: status.power,
+        mode: status.mode,
+        targetTemperature: status.targetTemperature,
+        fanSpeed: status.fanSpeed,
+        swingMode: status.swingMode,
+        turboMode: status.turboMode,
+        ecoMode: status.ecoMode,
+        indoorTemperature: status.indoorTemperature,
+        outdoorTemperature: status.outdoorTemperature,
+        statusCode: status.statusCode,
+      },
+      {
+        power: true,
+        mode: 'dry',
+        targetTemperature: 25,
+        fanSpeed: 'medium',
+        swingMode: 'vertical',
+        turboMode: true,
+        ecoMode: false,
+        indoorTemperature: 26.5,
+        outdoorTemperature: 31,
+        statusCode: 0,
+      }
+    );
+  });
+
+  it('reads the recorded capabilities of both pages', () => {
+    assert.equal(bridge.capabilitiesCache.dryMode, true);
+    assert.equal(bridge.capabilitiesCache.powerCal, true);
+  });
+
+  it('answers a set status command with the recorded response', async () => {
+    const updates = await bridge.set('targetTemperature', 21);
+
+    assert.equal(updates.targetTemperature, 21);
+    assert.equal(updates.mode, 'dry');
+    assert.equal(bridge.statusCache.targetTemperature, 21);
+  });
+
+  it('answers the power usage query with the recorded response', async () => {
+    const usage = await bridge.getPowerUsage();
+
+    assert.equal(typeof usage.powerUsage, 'number');
+  });
+});
@@ -0,0 +1,197 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { beforeEach, describe, it } = require('node:test');
+const Rfc2217 = require('../lib/node-mideahvac/lib/rfc2217');
+
+const SE = 0xf0;
+const SB = 0xfa;
+const WILL = 0xfb;
+const WONT = 0xfc;
+const DO = 0xfd;
+const DONT = 0xfe;
+const IAC = 0xff;
+
+const BINARY = 0x00;
+const SUPPRESS_GO_AHEAD = 0x03;
+const COM_PORT = 0x2c;
+
+describe('RFC 2217 telnet layer', () => {
+  let telnet;
+  let sent;
+  let confirmed;
+
+  beforeEach(() => {
+    telnet = new Rfc2217({ baudRate: 9600, parity: 'even', stopBits: 2 });
+    sent = [];
+    confirmed = [];
+    telnet.on('send', (data) => sent.push([...data]));
+    telnet.on('com-port', (setting, value) => confirmed.push([setting, value]));
+  });
+
+  describe('encode', () => {
+    it('returns data without IAC as is', () => {
+      const data = Buffer.from([0xaa, 0x23, 0xac]);
+
+      assert.equal(telnet.encode(data), data);
+    });
+
+    it('escapes IAC in the data', () => {
+      assert.deepEqual(
+        [...telnet.encode(Buffer.from([0x01, IAC, 0x02, IAC]))],
+        [0x01, IAC, IAC, 0x02, IAC, IAC]
+      );
+    });
+  });
+
+  describe('decode', () => {
+    it('unescapes IAC IAC in the data', () => {
+      assert.deepEqual([...telnet.decode(Buffer.from([0x01, IAC, IAC, 0x02]))], [0x01, IAC, 0x02]);
+    });
+
+    it('unescapes IAC IAC split over two chunks', () => {
+      assert.deepEqual([...telnet.decode(Buffer.from([0x01, IAC]))], [0x01]);
+      assert.deepEqual([...telnet.decode(Buffer.from([IAC, 0x02]))], [IAC, 0x02]);
+    });
+
+    it('removes an option request split over chunks from the data', () => {
+      const decoded = [
+        telnet.decode(Buffer.from([0xaa, IAC])),
+        telnet.decode(Buffer.from([WILL])),
+        telnet.decode(Buffer.from([0x18, 0x23])),
+      ];
+
+      assert.deepEqual(
+        decoded.map((data) => [...data]),
+        [[0xaa], [], [0x23]]
+      );
+      assert.deepEqual(sent, [[IAC, DONT, 0x18]]);
+    });
+
+    it('ignores other telnet commands', () => {
+      // NOP and GA
+      assert.deepEqual(
+        [...telnet.decode(Buffer.from([0x01, IAC, 0xf1, IAC, 0xf9, 0x02]))],
+        [0x01, 0x02]
+      );
+    });
+
+    it('handles a subnegotiation split over chunks with IAC IAC in the value', () => {
+      // The bridge confirms 9727 baud (0x000025FF)
+      const data = Buffer.from([IAC, SB, COM_PORT, 101, 0x00, 0x00, 0x25, IAC, IAC, IAC, SE, 0xaa]);
+
+      const decoded = [...data].map((b) => [...telnet.decode(Buffer.from([b]))]).flat();
+
+      assert.deepEqual(decoded, [0xaa]);
+      assert.deepEqual(confirmed, [['baudRate', 9727]]);
+    });
+
+    it('ignores subnegotiations of other options', () => {
+      assert.deepEqual(
+        [...telnet.decode(Buffer.from([IAC, SB, 0x18, 0x01, IAC, SE, 0x01]))],
+        [0x01]
+      );
+      assert.deepEqual(confirmed, []);
+    });
+  });
+
+  describe('negotiation', () => {
+    it('requests binary transmission, suppress go ahead and COM port control', () => {
+      telnet.start();
+
+      assert.deepEqual(sent, [
+        [
+          ...[IAC, WILL, BINARY, IAC, DO, BINARY],
+          ...[IAC, WILL, SUPPRESS_GO_AHEAD, IAC, DO, SUPPRESS_GO_AHEAD],
+          ...[IAC, WILL, COM_PORT],
+        ],
+      ]);
+    });
+
+    it('configures the serial port once the bridge agrees to COM port control', () => {
+      telnet.start();
+      sent = [];
+
+      telnet.decode(Buffer.from([IAC, DO, COM_PORT]));
+
+      assert.deepEqual(sent, [
+        [IAC, SB, COM_PORT, 1, 0x00, 0x00, 0x25, 0x80, IAC, SE],
+        [IAC, SB, COM_PORT, 2, 8, IAC, SE],
+        [IAC, SB, COM_PORT, 3, 3, IAC, SE],
+        [IAC, SB, COM_PORT, 4, 2, IAC, SE],
+      ]);
+    });
+
+    it('escapes IAC in the values of the COM port commands', () => {
+      telnet = new Rfc2217({ baudRate: 0x25ff });
+      telnet.on('send', (data) => sent.push([...data]));
+
+      telnet.decode(Buffer.from([IAC, DO, COM_PORT]));
+
+      assert.deepEqual(sent[1], [IAC, SB, COM_PORT, 1, 0x00, 0x00, 0x25, IAC, IAC, IAC, SE]);
+    });
+
+    it('reports the COM port replies of the bridge', () => {
+      telnet.decode(
+        Buffer.from([
+          ...[IAC, SB, COM_PORT, 101, 0x00, 0x00, 0x25, 0x80, IAC, SE],
+          ...[IAC, SB, COM_PORT, 102, 8, IAC, SE],
+          ...[IAC, SB, COM_PORT, 103, 3, IAC, SE],
+          ...[IAC, SB, COM_PORT, 104, 1, IAC, SE],
+        ])
+      );
+
+      assert.deepEqual(confirmed, [
+        ['baudRate', 9600],
+        ['dataBits', 8],
+        ['parity', 'even'],
+        // The bridge did not accept 2 stop bits
+        ['stopBits', 1],
+      ]);
+    });
+
+    it('does not answer requests that confirm the negotiated state', () => {
+      telnet.start();
+      sent = [];
+
+      telnet.decode(
+        Buffer.from([
+          ...[IAC, DO, BINARY, IAC, WILL, BINARY],
+          ...[IAC, DO, SUPPRESS_GO_AHEAD, IAC, WILL, SUPPRESS_GO_AHEAD],
+        ])
+      );
+
+      assert.deepEqual(sent, []);
+    });
+
+    it('answers a change of an option once', () => {
+      telnet.start();
+      sent = [];
+
+      telnet.decode(Buffer.from([IAC, WONT, BINARY, IAC, WONT, BINARY]));
+      telnet.decode(Buffer.from([IAC, DONT, SUPPRESS_GO_AHEAD, IAC, DONT, SUPPRESS_GO_AHEAD]));
+
+      assert.deepEqual(sent, [
+        [IAC, DONT, BINARY],
+        [IAC, WONT, SUPPRESS_GO_AHEAD],
+      ]);
+    });
+
+    it('refuses unsupported options and COM port control offered by the bridge', () => {
+      telnet.decode(Buffer.from([IAC, DO, 0x18, IAC, WILL, 0x18, IAC, WILL, COM_PORT]));
+
+      assert.deepEqual(sent, [
+        [IAC, WONT, 0x18],
+        [IAC, DONT, 0x18],
+        [IAC, DONT, COM_PORT],
+      ]);
+    });
+
+    it('starts over after a reset', () => {
+      telnet.decode(Buffer.from([IAC, SB, COM_PORT]));
+      telnet.reset();
+
+      assert.deepEqual([...telnet.decode(Buffer.from([0x01, 0x02]))], [0x01, 0x02]);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { MideaSerialBridge } = require('../lib/midea-serial-bridge');
+const { createEmulator } = require('../lib/node-mideahvac');
+const { log } = require('./lib/helpers');
+
+describe('MideaSerialBridge with a unit that does not return the message id', () => {
+  let emulator;
+  let bridge;
+
+  before(async () => {
+    emulator = createEmulator({ status: { powerOn: true, temperatureSetpoint: 22 } });
+    const port = await emulator.start();
+
+    // The first command has message id 1, the coincidental match must not switch to matching by id
+    emulator.injectFault('messageId', 100);
+
+    bridge = new MideaSerialBridge({ host: '127.0.0.1', port, log });
+    await bridge.connect();
+  });
+
+  after(async () => {
+    await bridge.disconnect();
+    await emulator.stop();
+  });
+
+  it('matches the responses by message type', async () => {
+    assert.equal(bridge.initialized, true);
+
+    for (let i = 0; i < 3; i++) {
+      const status = await bridge.getStatus();
+      assert.equal(status.targetTemperature, 22);
+    }
+
+    const updates = await bridge.set('targetTemperature', 24);
+    assert.equal(updates.targetTemperature, 24);
+  });
+});
+
+describe('MideaSerialBridge reconnecting to a unit that no longer returns the message id', () => {
+  let emulator;
+  let bridge;
+
+  before(async () => {
+    emulator = createEmulator({ status: { powerOn: true, temperatureSetpoint: 22 } });
+    const port = await emulator.start();
+
+    bridge = new MideaSerialBridge({ host: '127.0.0.1', port, log });
+    await bridge.connect();
+  });
+
+  after(async () => {
+    await bridge.disconnect();
+    await emulator.stop();
+  });
+
+  it('matches the responses by message type after the reconnect', async () => {
+    // Matched by message id after the commands of the initialization
+    await bridge.getStatus();
+
+    await bridge.disconnect();
+    emulator.injectFault('messageId', 100);
+    await bridge.connect();
+
+    const status = await bridge.getStatus();
+    assert.equal(status.targetTemperature, 22);
+  });
+});
+
+describe('MideaSerialBridge receiving a response after its command timed out', () => {
+  let emulator;
+  let bridge;
+
+  before(async () => {
+    emulator = createEmulator({
+      status: { powerOn: true, temperatureSetpoint: 22, powerUsage: 12.5 },
+    });
+    const port = await emulator.start();
+
+    bridge = new MideaSerialBridge({ host: '127.0.0.1', port, log });
+    await bridge.connect();
+  });
+
+  after(async () => {
+    await bridge.disconnect();
+    await emulator.stop();
+  });
+
+  it('does not answer the next command with the late response', async () => {
+    const frames = [];
+    bridge.device.on('frame-received', (frame, label) => frames.push({ type: frame[10], label }));
+
+    // The status is answered when the power usage query is in progress, which is answered in two
+    // parts to keep it in progress a little longer
+    emulator.status.temperatureSetpoint = 27;
+    emulator.injectFault('late');
+    emulator.injectFault('split');
+
+    const status = bridge.getStatus();
+    const usage = bridge.getPowerUsage();
+
+    await assert.rejects(status, { name: 'TimeoutError' });
+    assert.deepEqual(await usage, { powerUsage: 12.5 });
+
+    // The late status is processed like a notification of the unit
+    assert.deepEqual(frames, [
+      { type: 0xc0, label: null },
+      { type: 0xc1, label: 'getPowerUsage' },
+    ]);
+    assert.equal(bridge.statusCache.targetTemperature, 27);
+  });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { spawn, spawnSync } = require('node:child_process');
+const path = require('node:path');
+const { after, before, describe, it } = require('node:test');
+const { MideaSerialBridge } = require('../lib/midea-serial-bridge');
+const { createEmulator } = require('../lib/node-mideahvac');
+const { log } = require('./lib/helpers');
+
+// Node.js cannot open a pseudo-terminal pair by itself, a small Python helper provides it
+const PTY_RELAY = path.join(__dirname, 'lib', 'pty-relay.py');
+const hasPython = !spawnSync('python3', ['--version']).error;
+
+// Opens a pseudo-terminal pair relayed to the port and resolves with the path of the terminal
+function startRelay(port) {
+  const relay = spawn('python3', [PTY_RELAY, String(port)], { stdio: ['pipe', 'pipe', 'inherit'] });
+
+  const ready = new Promise((resolve, reject) => {
+    relay.once('error', reject);
+    relay.once('exit', (code) => reject(new Error(`pty relay exited with code ${code}`)));
+    relay.stdout.once('data', (data) => resolve(data.toString().trim()));
+  });
+
+  return { relay, ready };
+}
+
+describe('MideaSerialBridge with a directly connected UART', { skip: !hasPython }, () => {
+  let emulator;
+  let relay;
+  let bridge;
+
+  before(async () => {
+    emulator = createEmulator({ status: { powerOn: true, mode: 1, temperatureSetpoint: 24 } });
+    const port = await emulator.start();
+
+    const started = startRelay(port);
+    relay = started.relay;
+    const tty = await started.ready;
+
+    bridge = new MideaSerialBridge({
+      communicationMethod: 'serialport',
+      path: tty,
+      baudRate: 9600,
+      log,
+    });
+    await bridge.connect();
+  });
+
+  after(async () => {
+    await bridge.disconnect();
+    relay.stdin.end();
+    await new Promise((resolve) => relay.once('exit', resolve));
+    await emulator.stop();
+  });
+
+  it('reads status and capabilities through the terminal', () => {
+    assert.equal(bridge.initialized, true);
+    assert.equal(bridge.statusCache.power, true);
+    assert.equal(bridge.statusCache.mode, 'auto');
+    assert.equal(bridge.statusCache.targetTemperature, 24);
+    assert.equal(bridge.capabilitiesCache.coolMode, true);
+  });
+
+  it('sets the target temperature and reads it back', async () => {
+    const updates = await bridge.set('targetTemperature', 19);
+
+    assert.equal(emulator.status.temperatureSetpoint, 19);
+    assert.equal(updates.targetTemperature, 19);
+
+    const status = await bridge.getStatus();
+    assert.equal(status.targetTemperature, 19);
+  });
+});
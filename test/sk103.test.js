@@ -0,0 +1,89 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+const { MideaSerialBridge } = require('../lib/midea-serial-bridge');
+const { createAppliance } = require('../lib/node-mideahvac');
+const { log } = require('./lib/helpers');
+const { Sk103Device } = require('./lib/sk103-device');
+
+const DEVICE_ID = '150633093564386';
+
+describe('MideaSerialBridge with the original Midea dongle (SK103)', () => {
+  let device;
+  let bridge;
+
+  before(async () => {
+    device = new Sk103Device({ status: { powerOn: false, mode: 2, temperatureSetpoint: 23 } });
+    await device.start();
+
+    bridge = new MideaSerialBridge({
+      communicationMethod: 'sk103',
+      host: '127.0.0.1',
+      deviceId: DEVICE_ID,
+      key: device.key.toString('hex'),
+      token: device.token.toString('hex'),
+      log,
+    });
+    await bridge.connect();
+  });
+
+  after(async () => {
+    await bridge.disconnect();
+    await device.stop();
+  });
+
+  it('authenticates and reads status and capabilities', () => {
+    assert.equal(bridge.initialized, true);
+    assert.equal(bridge.statusCache.power, false);
+    assert.equal(bridge.statusCache.mode, 'cool');
+    assert.equal(bridge.statusCache.targetTemperature, 23);
+    assert.equal(bridge.capabilitiesCache.coolMode, true);
+  });
+
+  it('sends the device ID in the header of the requests', () => {
+    assert.ok(device.deviceIds.length > 0);
+    assert.ok(device.deviceIds.every((deviceId) => deviceId === DEVICE_ID));
+  });
+
+  it('sets the status of the unit', async () => {
+    const updates = await bridge.set('power', true);
+
+    assert.equal(device.emulator.status.powerOn, true);
+    assert.equal(updates.power, true);
+
+    await bridge.set('targetTemperature', 20);
+    assert.equal(device.emulator.status.temperatureSetpoint, 20);
+  });
+
+  it('sends JSON commands', async () => {
+    const updates = await bridge.sendCommand({ ecoMode: true });
+
+    assert.equal(device.emulator.status.ecoMode, true);
+    assert.equal(updates.ecoMode, true);
+  });
+});
+
+describe('SK103 device ID', () => {
+  const options = {
+    communicationMethod: 'sk103',
+    host: '127.0.0.1',
+    key: '00'.repeat(32),
+    token: '00'.repeat(64),
+  };
+
+  it('accepts a decimal device ID', () => {
+    assert.doesNotThrow(() => createAppliance({ ...options, id: ` ${DEVICE_ID} ` }));
+  });
+
+  for (const id of ['', 'abc', '12a4', '-1', String(2 ** 48)]) {
+    it(`rejects the device ID '${id}'`, () => {
+      assert.throws(() => createAppliance({ ...options, id }), /device Id/);
+    });
+  }
+
+  it('is reported as connection error of the adapter', async () => {
+    const bridge = new MideaSerialBridge({ ...options, deviceId: 'abc', log });
+    await assert.rejects(bridge.connect(), /invalid device Id abc/);
+  });
+});